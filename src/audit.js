@@ -0,0 +1,260 @@
+/**
+ * audit.js - Gmail Label Manager
+ *
+ * Contains the audit log, which records every label change made by the script
+ * to its own sheet, and the actions that revert those changes.
+ */
+
+const AUDIT_SHEET_NAME = 'Audit Log';
+const AUDIT_HEADERS = ['Time', 'User', 'Action', 'Old Name', 'New Name', 'Label ID', 'Thread Count', 'Result', 'Reverted At'];
+
+// Actions recorded in the log; entries written while reverting are prefixed with "Undo"
+const AUDIT_ACTIONS = {
+  CREATE: 'Create',
+  RENAME: 'Rename',
+  DELETE: 'Delete',
+  MERGE: 'Merge',
+  SYNC: 'Sync'
+};
+
+// Set while a revert is running so the entries it writes aren't themselves undone
+let auditUndoInProgress = false;
+
+/**
+ * Appends an entry to the audit log. Failures are logged but never interrupt
+ * the label change being recorded.
+ * @param {string} action One of the AUDIT_ACTIONS values
+ * @param {string} oldName The label name before the change
+ * @param {string} newName The label name after the change
+ * @param {string} labelId The ID of the Gmail label
+ * @param {number|string} threadCount The number of threads affected, if known
+ * @param {string} result "Success", "Refused" or an error message
+ */
+function logAuditEntry(action, oldName, newName, labelId, threadCount, result) {
+  try {
+    const sheet = getAuditSheet();
+    sheet.appendRow([
+      new Date(),
+      Session.getActiveUser().getEmail(),
+      auditUndoInProgress ? `Undo ${action}` : action,
+      oldName || '',
+      newName || '',
+      labelId || '',
+      threadCount === undefined ? '' : threadCount,
+      result,
+      ''
+    ]);
+  } catch (error) {
+    logError(`Error writing audit log entry: ${error.message}`);
+  }
+}
+
+/**
+ * Gets the audit log sheet, creating it if needed
+ * @return {Sheet} The audit log sheet
+ */
+function getAuditSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(AUDIT_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(AUDIT_SHEET_NAME);
+    sheet.getRange(1, 1, 1, AUDIT_HEADERS.length).setValues([AUDIT_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    logDebug(`Created "${AUDIT_SHEET_NAME}" sheet`);
+  }
+
+  return sheet;
+}
+
+/**
+ * Reverts the most recent change that can still be reverted
+ */
+function undoLastChange() {
+  startLogRun('undo');
+  const ui = SpreadsheetApp.getUi();
+  const sheet = getAuditSheet();
+
+  const values = sheet.getDataRange().getValues();
+  for (let i = values.length - 1; i >= 1; i--) {
+    if (isRevertibleEntry(values[i])) {
+      revertAuditEntry(sheet, i + 1);
+      return;
+    }
+  }
+
+  ui.alert('Nothing to Undo', 'There are no label changes left to undo.', ui.ButtonSet.OK);
+}
+
+/**
+ * Reverts the audit log entry in the currently selected row
+ */
+function revertSelectedAuditEntry() {
+  startLogRun('revert');
+  const ui = SpreadsheetApp.getUi();
+  const activeSheet = SpreadsheetApp.getActiveSheet();
+
+  if (activeSheet.getName() !== AUDIT_SHEET_NAME || activeSheet.getActiveRange().getRow() <= 1) {
+    ui.alert('Select an Entry', `Select a row in the "${AUDIT_SHEET_NAME}" sheet first.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const row = activeSheet.getActiveRange().getRow();
+  const values = activeSheet.getRange(row, 1, 1, AUDIT_HEADERS.length).getValues()[0];
+  if (!isRevertibleEntry(values)) {
+    ui.alert(
+      'Cannot Revert',
+      'Only successful create, rename and delete entries that have not already been reverted can be reverted.',
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+
+  revertAuditEntry(activeSheet, row);
+}
+
+/**
+ * Checks whether an audit log row can be reverted
+ * @param {Array} values The values of the row
+ * @return {boolean} Whether the entry can be reverted
+ */
+function isRevertibleEntry(values) {
+  const action = values[2];
+  const result = values[7];
+  const revertedAt = values[8];
+  return [AUDIT_ACTIONS.CREATE, AUDIT_ACTIONS.RENAME, AUDIT_ACTIONS.DELETE].includes(action) &&
+    result === 'Success' &&
+    !revertedAt;
+}
+
+/**
+ * Replays the inverse of an audit log entry and marks the entry as reverted
+ * @param {Sheet} auditSheet The audit log sheet
+ * @param {number} auditRow The row of the entry to revert
+ */
+function revertAuditEntry(auditSheet, auditRow) {
+  const values = auditSheet.getRange(auditRow, 1, 1, AUDIT_HEADERS.length).getValues()[0];
+  const action = values[2];
+  const oldName = values[3];
+  const newName = values[4];
+  const labelId = values[5];
+
+  const ui = SpreadsheetApp.getUi();
+  const description = action === AUDIT_ACTIONS.RENAME
+    ? `rename "${newName}" back to "${oldName}"`
+    : action === AUDIT_ACTIONS.CREATE ? `delete "${newName}"` : `re-create "${oldName}"`;
+  const response = ui.alert('Revert Change', `This will ${description}. Do you want to continue?`, ui.ButtonSet.YES_NO);
+  if (response !== ui.Button.YES) {
+    return;
+  }
+
+  const labelSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  auditUndoInProgress = true;
+
+  try {
+    let reverted = false;
+
+    switch (action) {
+      case AUDIT_ACTIONS.CREATE:
+        reverted = revertCreate(labelSheet, newName, labelId);
+        break;
+      case AUDIT_ACTIONS.RENAME:
+        reverted = revertRename(labelSheet, oldName, labelId);
+        break;
+      case AUDIT_ACTIONS.DELETE:
+        reverted = revertDelete(labelSheet, oldName);
+        break;
+    }
+
+    applyPendingTreeLayout(labelSheet);
+    if (reverted) {
+      auditSheet.getRange(auditRow, AUDIT_HEADERS.indexOf('Reverted At') + 1).setValue(new Date());
+      saveLabelIdSnapshot(labelSheet);
+    }
+  } catch (error) {
+    logError(`Error reverting audit entry in row ${auditRow}: ${error.message}`);
+    SpreadsheetApp.getActive().toast(`Error reverting change: ${error.message}`, 'Error', 10);
+  } finally {
+    auditUndoInProgress = false;
+  }
+}
+
+/**
+ * Reverts a label creation by deleting the label and its row
+ * @return {boolean} Whether the label was deleted
+ */
+function revertCreate(sheet, labelName, labelId) {
+  const label = indexLabelsById(getLabelResourceMap())[labelId];
+  if (!label) {
+    SpreadsheetApp.getActive().toast(`The label "${labelName}" no longer exists in Gmail.`, 'Info', 5);
+    return true;
+  }
+
+  // Same safeguards as deleting from the sheet
+  if (isLabelLocked(sheet, labelId)) {
+    logAuditEntry(AUDIT_ACTIONS.DELETE, label.name, '', labelId, '', 'Refused: locked');
+    SpreadsheetApp.getActive().toast(`Cannot delete label "${label.name}" as it is locked.`, 'Locked Label', 10);
+    return false;
+  }
+
+  const threadCount = countLabelThreads(labelId);
+  if (threadCount > 0) {
+    const message = `Cannot delete label "${label.name}" as it still has ${threadCount} threads using it.`;
+    logAuditEntry(AUDIT_ACTIONS.DELETE, label.name, '', labelId, threadCount, 'Refused');
+    SpreadsheetApp.getActive().toast(message, 'Warning', 10);
+    return false;
+  }
+
+  deleteGmailLabel(labelId);
+  const row = findLabelRowById(sheet, labelId);
+  if (row) {
+    sheet.deleteRow(row);
+  }
+
+  logAuditEntry(AUDIT_ACTIONS.DELETE, label.name, '', labelId, 0, 'Success');
+  SpreadsheetApp.getActive().toast(`The label "${label.name}" has been deleted from Gmail.`, 'Info', 5);
+  return true;
+}
+
+/**
+ * Reverts a rename by renaming the label back, along with its nested labels
+ * @return {boolean} Whether the label was renamed
+ */
+function revertRename(sheet, oldName, labelId) {
+  const label = indexLabelsById(getLabelResourceMap())[labelId];
+  if (!label) {
+    SpreadsheetApp.getActive().toast(`The renamed label no longer exists in Gmail.`, 'Warning', 10);
+    return false;
+  }
+  if (isLabelLocked(sheet, labelId)) {
+    logAuditEntry(AUDIT_ACTIONS.RENAME, label.name, oldName, labelId, '', 'Refused: locked');
+    SpreadsheetApp.getActive().toast(`Cannot rename label "${label.name}" as it is locked.`, 'Locked Label', 10);
+    return false;
+  }
+
+  let row = findLabelRowById(sheet, labelId);
+  if (!row) {
+    row = sheet.getLastRow() + 1;
+    sheet.getRange(row, CONFIG.LABEL_ID_COLUMN).setValue(labelId);
+  }
+
+  sheet.getRange(row, CONFIG.NAME_COLUMN).setValue(oldName);
+  updateLabel(sheet, row, label.name, oldName);
+
+  // updateLabel puts the current name back if the user cancelled, so check
+  // Gmail rather than the row
+  return Boolean(getLabelMap()[oldName]);
+}
+
+/**
+ * Reverts a deletion by creating the label again in a new row.
+ * The re-created label gets a new ID.
+ * @return {boolean} Whether the label was created
+ */
+function revertDelete(sheet, labelName) {
+  const row = sheet.getLastRow() + 1;
+  sheet.getRange(row, CONFIG.NAME_COLUMN).setValue(labelName);
+  createLabel(sheet, row, labelName);
+
+  return Boolean(getLabelMap()[labelName]);
+}
@@ -0,0 +1,185 @@
+/**
+ * colors.js - Gmail Label Manager
+ *
+ * Contains label color management, including validation against Gmail's
+ * color palette and previewing colors within the spreadsheet.
+ */
+
+// Colors accepted by the Gmail API for both the background and text of a label
+const GMAIL_LABEL_COLORS = [
+  '#000000', '#434343', '#666666', '#999999', '#cccccc', '#efefef', '#f3f3f3', '#ffffff',
+  '#fb4c2f', '#ffad47', '#fad165', '#16a766', '#43d692', '#4a86e8', '#a479e2', '#f691b3',
+  '#f6c5be', '#ffe6c7', '#fef1d1', '#b9e4d0', '#c6f3de', '#c9daf8', '#e4d7f5', '#fcdee8',
+  '#efa093', '#ffd6a2', '#fce8b3', '#89d3b2', '#a0eac9', '#a4c2f4', '#d0bcf1', '#fbc8d9',
+  '#e66550', '#ffbc6b', '#fcda83', '#44b984', '#68dfa9', '#6d9eeb', '#b694e8', '#f7a7c0',
+  '#cc3a21', '#eaa041', '#f2c960', '#149e60', '#3dc789', '#3c78d8', '#8e63ce', '#e07798',
+  '#ac2b16', '#cf8933', '#d5ae49', '#0b804b', '#2a9c68', '#285bac', '#653e9b', '#b65775',
+  '#822111', '#a46a21', '#aa8831', '#076239', '#1a764d', '#1c4587', '#41236d', '#83334c',
+  '#464646', '#e7e7e7', '#0d3472', '#b6cff5', '#0d3b44', '#98d7e4', '#3d188e', '#e3d7ff',
+  '#711a36', '#fbd3e0', '#8a1c0a', '#f2b2a8', '#7a2e0b', '#ffc8af', '#7a4706', '#ffdeb5',
+  '#594c05', '#fbe983', '#684e07', '#fdedc1', '#0b4f30', '#b3efd3', '#04502e', '#a2dcc1',
+  '#c2c2c2', '#4986e7', '#2da2bb', '#b99aff', '#994a64', '#f691b2', '#ff7537', '#ffad46',
+  '#662e37', '#ebdbde', '#cca6ac', '#094228', '#42d692', '#16a765'
+];
+
+// Gmail requires both colors to be set, so these fill in whichever one is missing
+const DEFAULT_BACKGROUND_COLOR = '#ffffff';
+const DEFAULT_TEXT_COLOR = '#000000';
+
+/**
+ * Normalizes a color entered in the sheet to Gmail's lowercase "#rrggbb" form
+ * @param {string} value The raw cell value
+ * @return {string} The normalized color, or an empty string if blank
+ */
+function normalizeColor(value) {
+  const color = String(value || '').trim().toLowerCase();
+  if (!color) {
+    return '';
+  }
+  return color.startsWith('#') ? color : `#${color}`;
+}
+
+/**
+ * Checks whether a color is part of Gmail's allowed label palette
+ * @param {string} color A normalized color
+ * @return {boolean} Whether Gmail will accept the color
+ */
+function isValidLabelColor(color) {
+  return GMAIL_LABEL_COLORS.includes(color);
+}
+
+/**
+ * Reads the label colors stored in a spreadsheet row
+ * @return {Object|null} A Gmail color object, or null if no colors are set
+ */
+function getRowLabelColor(sheet, row) {
+  return toLabelColor(
+    sheet.getRange(row, CONFIG.BACKGROUND_COLOR_COLUMN).getValue(),
+    sheet.getRange(row, CONFIG.TEXT_COLOR_COLUMN).getValue()
+  );
+}
+
+/**
+ * Builds a Gmail color object from the values of the two color cells
+ * @return {Object|null} A Gmail color object, or null if no colors are set
+ */
+function toLabelColor(backgroundValue, textValue) {
+  const backgroundColor = normalizeColor(backgroundValue);
+  const textColor = normalizeColor(textValue);
+
+  if (!backgroundColor && !textColor) {
+    return null;
+  }
+
+  return {
+    backgroundColor: backgroundColor || DEFAULT_BACKGROUND_COLOR,
+    textColor: textColor || DEFAULT_TEXT_COLOR
+  };
+}
+
+/**
+ * Writes a Gmail label color to a spreadsheet row and shades the cells to preview it
+ * @param {Object|null} color The Gmail color object, or null to clear the colors
+ */
+function setRowLabelColor(sheet, row, color) {
+  sheet.getRange(row, CONFIG.BACKGROUND_COLOR_COLUMN).setValue(color ? color.backgroundColor : '');
+  sheet.getRange(row, CONFIG.TEXT_COLOR_COLUMN).setValue(color ? color.textColor : '');
+  previewLabelColor(sheet, row, color);
+}
+
+/**
+ * Shades the name and color cells of a row so they look like the label does in Gmail
+ * @param {Object|null} color The Gmail color object, or null to remove the shading
+ */
+function previewLabelColor(sheet, row, color) {
+  const backgroundColor = color ? color.backgroundColor : null;
+  const textColor = color ? color.textColor : null;
+
+  sheet.getRange(row, CONFIG.NAME_COLUMN)
+    .setBackground(backgroundColor)
+    .setFontColor(textColor);
+  sheet.getRange(row, CONFIG.BACKGROUND_COLOR_COLUMN).setBackground(backgroundColor);
+  sheet.getRange(row, CONFIG.TEXT_COLOR_COLUMN).setBackground(textColor);
+}
+
+/**
+ * Applies a color to a Gmail label, removing it if color is null
+ * @param {string} labelId The ID of the Gmail label
+ * @param {Object|null} color The Gmail color object
+ */
+function applyLabelColor(labelId, color) {
+  if (color) {
+    patchGmailLabel({ color: color }, labelId);
+    return;
+  }
+
+  // A patch cannot unset the color, so replace the label without one
+  const label = Gmail.Users.Labels.get('me', labelId);
+  delete label.color;
+  rememberLabel(Gmail.Users.Labels.update(label, 'me', labelId));
+}
+
+/**
+ * Processes an edit to one of the color columns
+ */
+function handleColorChange(sheet, row, column, oldValue, newValue) {
+  const color = normalizeColor(newValue);
+  logDebug(`Processing color change at row ${row}: "${oldValue}" -> "${color}"`);
+
+  if (color && !isValidLabelColor(color)) {
+    const message = `"${newValue}" is not one of Gmail's label colors.`;
+    logDebug(message);
+    SpreadsheetApp.getActive().toast(message, 'Warning', 10);
+
+    // Restore the previous color
+    sheet.getRange(row, column).setValue(oldValue);
+    return;
+  }
+
+  const rowColor = getRowLabelColor(sheet, row);
+  setRowLabelColor(sheet, row, rowColor);
+
+  // Labels without an ID have not been created yet; their color is applied on creation
+  const labelId = sheet.getRange(row, CONFIG.LABEL_ID_COLUMN).getValue();
+  if (!labelId) {
+    return;
+  }
+
+  const labelName = sheet.getRange(row, CONFIG.NAME_COLUMN).getValue();
+  try {
+    applyLabelColor(labelId, rowColor);
+    logDebug(`Color of label "${labelName}" updated`);
+    SpreadsheetApp.getActive().toast(`The color of label "${labelName}" has been updated in Gmail.`, 'Success', 3);
+  } catch (error) {
+    logError(`Error updating color of label "${labelName}": ${error.message}`);
+    SpreadsheetApp.getActive().toast(`Error updating label color: ${error.message}`, 'Error', 10);
+  }
+}
+
+/**
+ * Sets up the headers and palette validation for the color columns
+ */
+function setupColorColumns() {
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+    if (!sheet) {
+      // Sheet doesn't exist yet, don't proceed
+      return;
+    }
+
+    sheet.getRange(CONFIG.HEADER_ROW, CONFIG.BACKGROUND_COLOR_COLUMN).setValue('Background Color');
+    sheet.getRange(CONFIG.HEADER_ROW, CONFIG.TEXT_COLOR_COLUMN).setValue('Text Color');
+
+    const rule = SpreadsheetApp.newDataValidation()
+      .requireValueInList(GMAIL_LABEL_COLORS, false)
+      .setAllowInvalid(false)
+      .setHelpText('Must be one of Gmail\'s label colors, e.g. #4a86e8')
+      .build();
+
+    const rowCount = sheet.getMaxRows() - CONFIG.HEADER_ROW;
+    sheet.getRange(CONFIG.HEADER_ROW + 1, CONFIG.BACKGROUND_COLOR_COLUMN, rowCount, 1).setDataValidation(rule);
+    sheet.getRange(CONFIG.HEADER_ROW + 1, CONFIG.TEXT_COLOR_COLUMN, rowCount, 1).setDataValidation(rule);
+  } catch (error) {
+    logError(`Error in setupColorColumns: ${error.message}`);
+  }
+}
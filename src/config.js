@@ -4,11 +4,47 @@
  * Contains configuration settings and constants for the application.
  */
 
-// Configuration
-const CONFIG = {
+// Default configuration, which can be overridden per spreadsheet from the Settings sheet
+const CONFIG_DEFAULTS = {
   SHEET_NAME: 'Labels',      // The name of your sheet - MUST match your actual sheet name
   HEADER_ROW: 1,             // The row containing headers
   LABEL_ID_COLUMN: 1,        // Hidden column A for storing label IDs
   NAME_COLUMN: 2,            // Column B (1-indexed)
-  DEBUG_MODE: true           // Set to false in production
+  BACKGROUND_COLOR_COLUMN: 3, // Column C for the label background color
+  TEXT_COLOR_COLUMN: 4,      // Column D for the label text color
+  LABEL_LIST_VISIBILITY_COLUMN: 5,   // Column E for visibility in the label list
+  MESSAGE_LIST_VISIBILITY_COLUMN: 6, // Column F for visibility in the message list
+  MESSAGES_TOTAL_COLUMN: 7,  // Columns G-K hold optional usage statistics
+  MESSAGES_UNREAD_COLUMN: 8,
+  THREADS_TOTAL_COLUMN: 9,
+  THREADS_UNREAD_COLUMN: 10,
+  LAST_ACTIVITY_COLUMN: 11,
+  DEPTH_COLUMN: 12,          // Columns L-N are tree layout helpers
+  PARENT_COLUMN: 13,
+  LEAF_NAME_COLUMN: 14,
+  RETENTION_COLUMN: 15,      // Column O for the retention policy, e.g. "archive after 30d"
+  SYNC_STATUS_COLUMN: 16,    // Header cell in column P shows when the last sync ran
+  LOCKED_COLUMN: 17,         // Column Q for the checkbox locking a label against renames and deletes
+  ARCHIVE_LABEL: 'Archived'  // Parent label that archived labels are moved under
 };
+
+// Document property holding the settings saved from the Settings sheet
+const CONFIG_OVERRIDES_PROPERTY = 'configOverrides';
+
+// Configuration in use: the defaults with any saved settings applied
+const CONFIG = Object.assign({}, CONFIG_DEFAULTS, loadConfigOverrides());
+
+/**
+ * Loads the settings saved from the Settings sheet
+ * @return {Object} The overridden settings, or an empty object if there are none
+ */
+function loadConfigOverrides() {
+  try {
+    const saved = PropertiesService.getDocumentProperties().getProperty(CONFIG_OVERRIDES_PROPERTY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (error) {
+    // Fall back to the defaults rather than break every entry point
+    console.error("Error loading settings: " + error.message);
+    return {};
+  }
+}
@@ -0,0 +1,315 @@
+/**
+ * filters.js - Gmail Label Manager
+ *
+ * Contains management of Gmail filters from a "Filters" sheet, with filter
+ * labels referred to by the names used in the Labels sheet.
+ */
+
+const FILTERS_SHEET_NAME = 'Filters';
+const FILTER_HEADERS = ['Filter ID', 'From', 'To', 'Subject', 'Has the Words', 'Doesn\'t Have', 'Add Labels', 'Remove Labels', 'Archive', 'Mark Read', 'Gmail Filter'];
+
+// Column positions in the Filters sheet (1-indexed). The ID column is hidden,
+// as is the Gmail Filter column, which holds the filter's full criteria and
+// action as JSON so fields the sheet doesn't show survive an edit.
+const FILTER_COLUMNS = {
+  ID: 1,
+  FROM: 2,
+  TO: 3,
+  SUBJECT: 4,
+  QUERY: 5,
+  NEGATED_QUERY: 6,
+  ADD_LABELS: 7,
+  REMOVE_LABELS: 8,
+  ARCHIVE: 9,
+  MARK_READ: 10,
+  GMAIL_FILTER: 11
+};
+
+/**
+ * Lists all Gmail filters
+ * @return {Object[]} The Gmail filter resources
+ */
+function listGmailFilters() {
+  const response = Gmail.Users.Settings.Filters.list('me');
+  return (response && response.filter) || [];
+}
+
+/**
+ * Rewrites the Filters sheet from the filters currently in Gmail
+ */
+function refreshFiltersSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  try {
+    const sheet = getFiltersSheet();
+    const labelsById = indexLabelsById(getLabelResourceMap());
+    const toNames = labelIds => (labelIds || [])
+      .map(id => (labelsById[id] ? labelsById[id].name : id))
+      .join(', ');
+
+    const rows = listGmailFilters().map(filter => {
+      const criteria = filter.criteria || {};
+      const action = filter.action || {};
+      const removeLabelIds = (action.removeLabelIds || []).filter(id => id !== 'INBOX' && id !== 'UNREAD');
+
+      return [
+        filter.id,
+        criteria.from || '',
+        criteria.to || '',
+        criteria.subject || '',
+        criteria.query || '',
+        criteria.negatedQuery || '',
+        toNames(action.addLabelIds),
+        toNames(removeLabelIds),
+        (action.removeLabelIds || []).includes('INBOX'),
+        (action.removeLabelIds || []).includes('UNREAD'),
+        JSON.stringify({ criteria: criteria, action: action })
+      ];
+    });
+
+    // Clear old filter rows, keeping the header
+    if (sheet.getLastRow() > 1) {
+      sheet.getRange(2, 1, sheet.getLastRow() - 1, FILTER_HEADERS.length).clearContent();
+    }
+    if (rows.length > 0) {
+      sheet.getRange(2, 1, rows.length, FILTER_HEADERS.length).setValues(rows);
+    }
+
+    logDebug(`Wrote ${rows.length} filter(s) to "${FILTERS_SHEET_NAME}"`);
+    ss.toast(`${rows.length} filter(s) loaded from Gmail.`, 'Filters', 3);
+  } catch (error) {
+    logError(`Error refreshing filters: ${error.message}`);
+    ss.toast(`Error refreshing filters: ${error.message}`, 'Error', 10);
+  }
+}
+
+/**
+ * Gets the Filters sheet, creating and formatting it if needed
+ * @return {Sheet} The Filters sheet
+ */
+function getFiltersSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(FILTERS_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(FILTERS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, FILTER_HEADERS.length).setValues([FILTER_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    sheet.hideColumns(FILTER_COLUMNS.ID);
+
+    const rowCount = sheet.getMaxRows() - 1;
+    sheet.getRange(2, FILTER_COLUMNS.ARCHIVE, rowCount, 2).insertCheckboxes();
+    logDebug(`Created "${FILTERS_SHEET_NAME}" sheet`);
+  }
+
+  // Sheets made before the Gmail Filter column existed get it on the next refresh
+  if (sheet.getRange(1, FILTER_COLUMNS.GMAIL_FILTER).getValue() !== FILTER_HEADERS[FILTER_COLUMNS.GMAIL_FILTER - 1]) {
+    sheet.getRange(1, FILTER_COLUMNS.GMAIL_FILTER).setValue(FILTER_HEADERS[FILTER_COLUMNS.GMAIL_FILTER - 1]).setFontWeight('bold');
+    sheet.hideColumns(FILTER_COLUMNS.GMAIL_FILTER);
+  }
+
+  return sheet;
+}
+
+/**
+ * Processes an edit to the Filters sheet. Gmail filters cannot be changed, so
+ * an edited row replaces its filter with a new one.
+ */
+function handleFilterEdit(sheet, range) {
+  const firstRow = Math.max(range.getRow(), 2);
+  const labelIdsByName = getFilterLabelIdsByName();
+
+  for (let row = firstRow; row <= range.getLastRow(); row++) {
+    try {
+      const values = sheet.getRange(row, 1, 1, FILTER_HEADERS.length).getValues()[0];
+      const filterId = values[FILTER_COLUMNS.ID - 1];
+      const isEmpty = values.slice(FILTER_COLUMNS.FROM - 1, FILTER_COLUMNS.MARK_READ)
+        .every(value => value === '' || value === false);
+
+      if (isEmpty) {
+        if (filterId) {
+          Gmail.Users.Settings.Filters.remove('me', filterId);
+          sheet.getRange(row, FILTER_COLUMNS.ID).clearContent();
+          sheet.getRange(row, FILTER_COLUMNS.GMAIL_FILTER).clearContent();
+          logDebug(`Deleted filter ${filterId}`);
+          SpreadsheetApp.getActive().toast('Filter deleted from Gmail.', 'Filters', 3);
+        }
+        continue;
+      }
+
+      const filter = buildFilterFromRow(values, labelIdsByName);
+      if (!filter) {
+        // Still being filled in; Gmail needs at least one criterion and one action
+        continue;
+      }
+
+      // Create the replacement before deleting the old filter so nothing is lost on failure
+      const created = Gmail.Users.Settings.Filters.create(filter, 'me');
+      if (filterId) {
+        Gmail.Users.Settings.Filters.remove('me', filterId);
+      }
+      sheet.getRange(row, FILTER_COLUMNS.ID).setValue(created.id);
+      sheet.getRange(row, FILTER_COLUMNS.GMAIL_FILTER)
+        .setValue(JSON.stringify({ criteria: created.criteria || {}, action: created.action || {} }));
+
+      logDebug(`Saved filter in row ${row} as ${created.id}`);
+      SpreadsheetApp.getActive().toast('Filter saved to Gmail.', 'Filters', 3);
+    } catch (error) {
+      logError(`Error saving filter in row ${row}: ${error.message}`);
+      SpreadsheetApp.getActive().toast(`Error saving filter in row ${row}: ${error.message}`, 'Error', 10);
+    }
+  }
+}
+
+/**
+ * Builds a Gmail filter resource from a Filters sheet row. The edits are
+ * merged into the filter stored in the Gmail Filter column, so criteria and
+ * actions the sheet doesn't show (e.g. hasAttachment, size or forward) are kept.
+ * @param {Array} values The values of the row
+ * @param {Object} labelIdsByName Map of label name -> label ID
+ * @return {Object|null} The filter, or null if the row has no criteria or no actions
+ */
+function buildFilterFromRow(values, labelIdsByName) {
+  const stored = values[FILTER_COLUMNS.GMAIL_FILTER - 1] ? JSON.parse(values[FILTER_COLUMNS.GMAIL_FILTER - 1]) : {};
+  const criteria = Object.assign({}, stored.criteria);
+  const criteriaColumns = {
+    from: FILTER_COLUMNS.FROM,
+    to: FILTER_COLUMNS.TO,
+    subject: FILTER_COLUMNS.SUBJECT,
+    query: FILTER_COLUMNS.QUERY,
+    negatedQuery: FILTER_COLUMNS.NEGATED_QUERY
+  };
+  for (const field in criteriaColumns) {
+    const value = String(values[criteriaColumns[field] - 1]).trim();
+    if (value) {
+      criteria[field] = value;
+    } else {
+      delete criteria[field];
+    }
+  }
+
+  // Labels the sheet shows by ID, as they have no row, are kept as they were
+  const action = Object.assign({}, stored.action);
+  const storedLabelIds = (action.addLabelIds || []).concat(action.removeLabelIds || []);
+  const addLabelIds = resolveFilterLabels(values[FILTER_COLUMNS.ADD_LABELS - 1], labelIdsByName, storedLabelIds);
+  const removeLabelIds = resolveFilterLabels(values[FILTER_COLUMNS.REMOVE_LABELS - 1], labelIdsByName, storedLabelIds);
+  if (values[FILTER_COLUMNS.ARCHIVE - 1] === true) {
+    removeLabelIds.push('INBOX');
+  }
+  if (values[FILTER_COLUMNS.MARK_READ - 1] === true) {
+    removeLabelIds.push('UNREAD');
+  }
+
+  delete action.addLabelIds;
+  delete action.removeLabelIds;
+  if (addLabelIds.length > 0) {
+    action.addLabelIds = addLabelIds;
+  }
+  if (removeLabelIds.length > 0) {
+    action.removeLabelIds = removeLabelIds;
+  }
+
+  if (Object.keys(criteria).length === 0 || Object.keys(action).length === 0) {
+    return null;
+  }
+
+  return { criteria: criteria, action: action };
+}
+
+/**
+ * Resolves a comma-separated list of label names to label IDs
+ * @param {string} cellValue The names as entered in the sheet
+ * @param {Object} labelIdsByName Map of label name -> label ID
+ * @param {string[]} storedLabelIds IDs the filter already used, accepted as they are
+ * @return {string[]} The label IDs
+ */
+function resolveFilterLabels(cellValue, labelIdsByName, storedLabelIds) {
+  return String(cellValue)
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name)
+    .map(name => {
+      if (!labelIdsByName[name] && storedLabelIds.includes(name)) {
+        return name;
+      }
+      if (!labelIdsByName[name]) {
+        throw new Error(`Label "${name}" is not in the ${CONFIG.SHEET_NAME} sheet`);
+      }
+      return labelIdsByName[name];
+    });
+}
+
+/**
+ * Gets the label IDs filters can refer to, keyed by the names in the Labels
+ * sheet. Gmail's own labels (e.g. STARRED) are included by name too.
+ * @return {Object} Map of label name -> label ID
+ */
+function getFilterLabelIdsByName() {
+  const labelIdsByName = {};
+
+  const labelResources = getLabelResourceMap();
+  for (const name in labelResources) {
+    if (isSystemLabel(labelResources[name])) {
+      labelIdsByName[name] = labelResources[name].id;
+    }
+  }
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  const lastRow = sheet.getLastRow();
+  if (lastRow > CONFIG.HEADER_ROW) {
+    const rowCount = lastRow - CONFIG.HEADER_ROW;
+    const ids = sheet.getRange(CONFIG.HEADER_ROW + 1, CONFIG.LABEL_ID_COLUMN, rowCount, 1).getValues();
+    const names = sheet.getRange(CONFIG.HEADER_ROW + 1, CONFIG.NAME_COLUMN, rowCount, 1).getValues();
+    for (let i = 0; i < rowCount; i++) {
+      if (names[i][0] && ids[i][0]) {
+        labelIdsByName[names[i][0]] = ids[i][0];
+      }
+    }
+  }
+
+  return labelIdsByName;
+}
+
+/**
+ * Counts the Gmail filters that add or remove a label
+ * @param {string} labelId The ID of the label
+ * @return {number} The number of filters using the label
+ */
+function countFiltersUsingLabel(labelId) {
+  try {
+    return listGmailFilters().filter(filter => {
+      const action = filter.action || {};
+      return (action.addLabelIds || []).includes(labelId) ||
+        (action.removeLabelIds || []).includes(labelId);
+    }).length;
+  } catch (error) {
+    logError(`Error checking filters for label ${labelId}: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Rewrites label names in the Filters sheet after a label, and any labels
+ * nested beneath it, has been renamed
+ */
+function renameLabelInFilters(oldLabelName, newLabelName) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(FILTERS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return;
+  }
+
+  const renameName = name => {
+    if (name === oldLabelName) {
+      return newLabelName;
+    }
+    return name.startsWith(`${oldLabelName}/`) ? newLabelName + name.slice(oldLabelName.length) : name;
+  };
+
+  for (const column of [FILTER_COLUMNS.ADD_LABELS, FILTER_COLUMNS.REMOVE_LABELS]) {
+    const range = sheet.getRange(2, column, sheet.getLastRow() - 1, 1);
+    const values = range.getValues().map(([cell]) => [
+      String(cell).split(',').map(name => name.trim()).filter(name => name).map(renameName).join(', ')
+    ]);
+    range.setValues(values);
+  }
+}
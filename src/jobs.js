@@ -0,0 +1,629 @@
+/**
+ * jobs.js - Gmail Label Manager
+ *
+ * Contains the queue of background jobs. Operations that can outlast a single
+ * execution (moving threads between labels, renaming large subtrees, bulk
+ * deletes, rules and retention policies) save their progress after every step and carry on in later
+ * executions started by a one-off trigger.
+ */
+
+const JOBS_SHEET_NAME = 'Jobs';
+const JOBS_HEADERS = ['Job ID', 'Type', 'Description', 'Status', 'Progress', 'Error', 'Created', 'Updated', 'User'];
+const JOB_QUEUE_PROPERTY = 'jobQueue';
+
+// Prefix of the script property that asks a job to stop. It is kept apart
+// from the job, which the execution running it keeps saving over.
+const JOB_CANCEL_PROPERTY_PREFIX = 'jobCancel_';
+
+const JOB_TYPES = {
+  MERGE: 'Merge labels',
+  MOVE_THREADS: 'Move threads',
+  RENAME_SUBTREE: 'Rename nested labels',
+  DELETE_LABELS: 'Delete labels',
+  APPLY_RULE: 'Apply rule',
+  APPLY_RETENTION: 'Apply retention policy',
+  PREVIEW_RETENTION: 'Preview retention policy',
+  REFRESH_STATISTICS: 'Refresh label statistics'
+};
+
+const JOB_STATUSES = {
+  QUEUED: 'Queued',
+  RUNNING: 'Running',
+  DONE: 'Done',
+  FAILED: 'Failed',
+  CANCELLED: 'Cancelled'
+};
+
+// Executions are stopped after 6 minutes, so no new step starts after this
+const JOB_TIME_BUDGET_MS = 4.5 * 60 * 1000;
+
+// Messages modified per step; Gmail accepts up to 1000 IDs per batchModify
+const JOB_MESSAGE_BATCH_SIZE = 500;
+
+// Finished jobs kept for the Jobs sheet
+const MAX_FINISHED_JOBS = 50;
+
+// Global code runs at the start of every execution, so this is when it started
+const executionStartedAt = Date.now();
+
+// Set while this execution is working through the queue
+let jobsProcessing = false;
+
+/**
+ * Adds a job to the end of the queue and makes sure a later execution picks it
+ * up, in case this one runs out of time first
+ * @param {string} type One of the JOB_TYPES values
+ * @param {string} description What the job does, as shown on the Jobs sheet
+ * @param {Object} params The details the job's steps need
+ * @param {number} total The number of items the job will process, if known
+ * @return {Object} The queued job
+ */
+function enqueueJob(type, description, params, total) {
+  const now = new Date().toISOString();
+  const job = {
+    id: Utilities.getUuid().slice(0, 8),
+    type: type,
+    description: description,
+    status: JOB_STATUSES.QUEUED,
+    params: params,
+    progress: 0,
+    total: total || '',
+    error: '',
+    undo: auditUndoInProgress,
+    user: Session.getEffectiveUser().getEmail(),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  saveJob(job);
+  updateJobQueue(jobIds => jobIds.concat(job.id));
+  scheduleJobRun();
+
+  logInfo(`Queued job ${job.id}: ${description}`);
+  return job;
+}
+
+/**
+ * Works through the queued jobs, then sorts labels the jobs renamed into the
+ * tree layout. Handler for the job triggers, and used by actions that leave
+ * the jobs they queue to run in the background.
+ */
+function processJobs() {
+  runQueuedJobs();
+  applyPendingTreeLayout(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME));
+}
+
+/**
+ * Works through the queued jobs of the current user until they are done or
+ * this execution runs low on time, then schedules a run to carry on
+ */
+function runQueuedJobs() {
+  startLogRun('jobs');
+  // Jobs queued by a running job are picked up by the loop below
+  if (jobsProcessing) {
+    return;
+  }
+
+  // Each user's jobs only run in their own executions, so one execution per
+  // user works through the queue. The script lock is left for queue updates.
+  const lock = LockService.getUserLock();
+  if (!lock.tryLock(1000)) {
+    // Another execution is working through the queue; check back later in case it misses new jobs
+    logDebug('Jobs are already being processed elsewhere');
+    scheduleJobRun();
+    return;
+  }
+
+  jobsProcessing = true;
+  bufferLogRows();
+  try {
+    deleteJobTriggers();
+
+    let job = getNextJob();
+    while (job) {
+      runJob(job);
+
+      if (getJob(job.id).status === JOB_STATUSES.RUNNING) {
+        logDebug(`Out of time, job ${job.id} will carry on in a later execution`);
+        scheduleJobRun();
+        break;
+      }
+      job = getNextJob();
+    }
+
+    pruneFinishedJobs();
+
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(JOBS_SHEET_NAME);
+    if (sheet) {
+      writeJobsSheet(sheet);
+    }
+  } catch (error) {
+    logError(`Error processing jobs: ${error.message}`);
+  } finally {
+    jobsProcessing = false;
+    lock.releaseLock();
+    flushLogRows();
+  }
+}
+
+/**
+ * Processes the queue straight away for a job the user just started, and tells
+ * them whether it finished or carries on in the background
+ * @param {Object} job The job from enqueueJob
+ * @param {Function} describeSuccess Builds the message shown if the job finished
+ * @return {Object} The job as it was left
+ */
+function runJobNow(job, describeSuccess) {
+  // Runs in the middle of an edit or action, which sorts the sheet once it is done
+  runQueuedJobs();
+
+  const result = getJob(job.id);
+  if (result.status === JOB_STATUSES.DONE) {
+    notify(describeSuccess(result), 'Success', 5);
+  } else if (result.status === JOB_STATUSES.FAILED) {
+    notify(`${job.description} failed: ${result.error}`, 'Error', 10);
+  } else {
+    notify(
+      `${job.description} will carry on in the background. Its progress is shown on the "${JOBS_SHEET_NAME}" sheet.`,
+      'Background Job',
+      10
+    );
+  }
+  return result;
+}
+
+/**
+ * Runs the steps of a job until it is done, fails, is cancelled or this
+ * execution runs low on time, saving its progress after every step
+ */
+function runJob(job) {
+  job.status = JOB_STATUSES.RUNNING;
+  saveJob(job);
+
+  // Entries written by a job started while undoing are undo entries too
+  const undoWasInProgress = auditUndoInProgress;
+  auditUndoInProgress = Boolean(job.undo);
+
+  try {
+    while (Date.now() - executionStartedAt < JOB_TIME_BUDGET_MS) {
+      // Pick up a cancel made from another execution
+      if (isJobCancelRequested(job.id)) {
+        job.status = JOB_STATUSES.CANCELLED;
+        job.updatedAt = new Date().toISOString();
+        saveJob(job);
+        PropertiesService.getScriptProperties().deleteProperty(JOB_CANCEL_PROPERTY_PREFIX + job.id);
+        logInfo(`Job ${job.id} was cancelled`);
+        if (job.type === JOB_TYPES.APPLY_RULE) {
+          finishRuleRun(job.params, job.progress, JOB_STATUSES.CANCELLED);
+        } else if (job.type === JOB_TYPES.APPLY_RETENTION || job.type === JOB_TYPES.PREVIEW_RETENTION) {
+          finishRetentionRun(job.params, job.progress, JOB_STATUSES.CANCELLED);
+        }
+        return;
+      }
+
+      const done = runJobStep(job);
+      job.updatedAt = new Date().toISOString();
+      if (done) {
+        job.status = JOB_STATUSES.DONE;
+        saveJob(job);
+        logInfo(`Job ${job.id} done: ${job.description}`);
+        return;
+      }
+      saveJob(job);
+    }
+  } catch (error) {
+    logError(`Job ${job.id} failed: ${error.message}`);
+    job.status = JOB_STATUSES.FAILED;
+    job.error = error.message;
+    job.updatedAt = new Date().toISOString();
+    saveJob(job);
+
+    if (job.type === JOB_TYPES.MERGE) {
+      logAuditEntry(AUDIT_ACTIONS.MERGE, job.params.sourceLabelName, job.params.targetLabelName,
+        job.params.sourceLabelId, job.params.threadCount, `Error: ${error.message}`);
+    } else if (job.type === JOB_TYPES.APPLY_RULE) {
+      finishRuleRun(job.params, job.progress, `Failed: ${error.message}`);
+    } else if (job.type === JOB_TYPES.APPLY_RETENTION || job.type === JOB_TYPES.PREVIEW_RETENTION) {
+      finishRetentionRun(job.params, job.progress, `Failed: ${error.message}`);
+    }
+  } finally {
+    auditUndoInProgress = undoWasInProgress;
+  }
+}
+
+/**
+ * Runs a single step of a job
+ * @return {boolean} Whether the job is finished
+ */
+function runJobStep(job) {
+  switch (job.type) {
+    case JOB_TYPES.MERGE:
+    case JOB_TYPES.MOVE_THREADS:
+      return moveThreadsStep(job);
+    case JOB_TYPES.RENAME_SUBTREE:
+      return renameSubtreeStep(job);
+    case JOB_TYPES.DELETE_LABELS:
+      return deleteLabelsStep(job);
+    case JOB_TYPES.APPLY_RULE:
+      return applyRuleStep(job);
+    case JOB_TYPES.APPLY_RETENTION:
+      return applyRetentionStep(job);
+    case JOB_TYPES.PREVIEW_RETENTION:
+      return previewRetentionStep(job);
+    case JOB_TYPES.REFRESH_STATISTICS:
+      return refreshStatisticsStep(job);
+    default:
+      throw new Error(`Unknown job type "${job.type}"`);
+  }
+}
+
+/**
+ * Moves one batch of messages from the source label to the target label. Once
+ * the source label is empty it is deleted, along with its row for a merge.
+ * @return {boolean} Whether every message has been moved
+ */
+function moveThreadsStep(job) {
+  const params = job.params;
+
+  // Every batch loses the source label, so the first page always holds the next batch
+  const response = Gmail.Users.Messages.list('me', {
+    labelIds: [params.sourceLabelId],
+    maxResults: JOB_MESSAGE_BATCH_SIZE,
+    includeSpamTrash: true
+  });
+  const messageIds = (response.messages || []).map(message => message.id);
+
+  if (messageIds.length > 0) {
+    Gmail.Users.Messages.batchModify({
+      ids: messageIds,
+      addLabelIds: [params.targetLabelId],
+      removeLabelIds: [params.sourceLabelId]
+    }, 'me');
+    job.progress += messageIds.length;
+    return false;
+  }
+
+  deleteGmailLabel(params.sourceLabelId);
+  logDebug(`Moved ${job.progress} message(s) from "${params.sourceLabelName}" to "${params.targetLabelName}"`);
+
+  if (job.type === JOB_TYPES.MERGE) {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+    const row = findLabelRowById(sheet, params.sourceLabelId);
+    if (row) {
+      sheet.deleteRow(row);
+    }
+    saveLabelIdSnapshot(sheet);
+
+    logAuditEntry(AUDIT_ACTIONS.MERGE, params.sourceLabelName, params.targetLabelName,
+      params.sourceLabelId, params.threadCount, 'Success');
+  }
+  return true;
+}
+
+/**
+ * Renames the next nested label of a subtree, deepest first, and finally the
+ * parent label itself
+ * @return {boolean} Whether the whole subtree has been renamed
+ */
+function renameSubtreeStep(job) {
+  const params = job.params;
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+
+  // Children come first, so the progress is also the index of the next child
+  if (job.progress < params.childLabelNames.length) {
+    const childLabelName = params.childLabelNames[job.progress];
+    const childLabelId = getLabelId(childLabelName);
+    if (childLabelId) {
+      renameLabelAndRow(sheet, childLabelId, childLabelName,
+        params.newLabelName + childLabelName.slice(params.oldLabelName.length));
+    }
+    job.progress++;
+    return false;
+  }
+
+  const newLabelId = renameLabelAndRow(sheet, params.oldLabelId, params.oldLabelName, params.newLabelName);
+  job.progress++;
+
+  logAuditEntry(AUDIT_ACTIONS.RENAME, params.oldLabelName, params.newLabelName, newLabelId, '', 'Success');
+  renameLabelInFilters(params.oldLabelName, params.newLabelName);
+  requestTreeLayout();
+
+  if (params.filterCount > 0 && newLabelId !== params.oldLabelId) {
+    notify(
+      `${params.filterCount} filter(s) still point at the old "${params.oldLabelName}" label, which no longer exists. ` +
+      `Update them on the ${FILTERS_SHEET_NAME} sheet.`, 'Warning', 10);
+  }
+  return true;
+}
+
+/**
+ * Deletes the next label of a bulk delete along with its row. A label that
+ * can't be deleted is logged and skipped rather than failing the whole job.
+ * @return {boolean} Whether every label has been handled
+ */
+function deleteLabelsStep(job) {
+  const labels = job.params.labels;
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+
+  if (job.progress < labels.length) {
+    const entry = labels[job.progress];
+    try {
+      deleteGmailLabel(entry.id);
+
+      const row = findLabelRowById(sheet, entry.id);
+      if (row) {
+        sheet.deleteRow(row);
+      }
+      logAuditEntry(AUDIT_ACTIONS.DELETE, entry.name, '', entry.id, entry.threads, 'Success');
+    } catch (error) {
+      logError(`Error deleting label "${entry.name}": ${error.message}`);
+      logAuditEntry(AUDIT_ACTIONS.DELETE, entry.name, '', entry.id, entry.threads, `Error: ${error.message}`);
+      job.params.failed = (job.params.failed || 0) + 1;
+    }
+    job.progress++;
+    return false;
+  }
+
+  saveLabelIdSnapshot(sheet);
+  removeDeletedUnusedLabelRows();
+  return true;
+}
+
+/**
+ * Gets the first job in the queue that the current user still has to run
+ * @return {Object|null} The job, or null if there is nothing to run
+ */
+function getNextJob() {
+  const user = Session.getEffectiveUser().getEmail();
+  for (const jobId of loadJobQueue()) {
+    const job = getJob(jobId);
+    if (job && job.user === user &&
+      (job.status === JOB_STATUSES.QUEUED || job.status === JOB_STATUSES.RUNNING)) {
+      return job;
+    }
+  }
+  return null;
+}
+
+/**
+ * Gets the jobs of a type that are queued or running, whoever queued them, so
+ * scheduled runs don't queue the same work twice
+ * @return {Object[]} The jobs, oldest first
+ */
+function getActiveJobs(type) {
+  return loadJobQueue()
+    .map(jobId => getJob(jobId))
+    .filter(job => job && job.type === type &&
+      (job.status === JOB_STATUSES.QUEUED || job.status === JOB_STATUSES.RUNNING));
+}
+
+/**
+ * Lists the next page of threads for a job that works through a thread search
+ * @param {Object} params The job's parameters, where the page token is kept
+ * @param {Object} search The labelIds and q of Gmail.Users.Threads.list
+ * @param {number} pageSize The number of threads to list
+ * @return {string[]} The IDs of the threads on the page
+ */
+function listJobThreadPage(params, search, pageSize) {
+  const options = Object.assign({ maxResults: pageSize }, search);
+  if (params.pageToken) {
+    options.pageToken = params.pageToken;
+  }
+
+  const response = Gmail.Users.Threads.list('me', options);
+  params.nextPageToken = response.nextPageToken || '';
+  return (response.threads || []).map(thread => thread.id);
+}
+
+/**
+ * Moves a thread search job on to its next page. Threads the job changes can
+ * drop out of the search and shift later pages, so once the last page is done
+ * the search starts over, until a whole pass changes nothing.
+ * @param {Object} params The job's parameters, as passed to listJobThreadPage
+ * @param {boolean} changed Whether the job changed any thread on the page
+ * @return {boolean} Whether the search has been worked through
+ */
+function finishJobThreadPage(params, changed) {
+  params.changedThisPass = params.changedThisPass || changed;
+  if (params.nextPageToken) {
+    params.pageToken = params.nextPageToken;
+    return false;
+  }
+  if (params.changedThisPass) {
+    params.pageToken = '';
+    params.changedThisPass = false;
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Loads a job from the script properties
+ * @return {Object|null} The job, or null if it no longer exists
+ */
+function getJob(jobId) {
+  const serialized = loadChunkedProperty(PropertiesService.getScriptProperties(), `job_${jobId}`);
+  return serialized ? JSON.parse(serialized) : null;
+}
+
+/**
+ * Saves a job to the script properties
+ */
+function saveJob(job) {
+  saveChunkedProperty(PropertiesService.getScriptProperties(), `job_${job.id}`, JSON.stringify(job));
+}
+
+/**
+ * Loads the IDs of all jobs, oldest first
+ * @return {string[]} The job IDs
+ */
+function loadJobQueue() {
+  const serialized = PropertiesService.getScriptProperties().getProperty(JOB_QUEUE_PROPERTY);
+  return serialized ? JSON.parse(serialized) : [];
+}
+
+/**
+ * Saves the IDs of all jobs, oldest first
+ * @param {string[]} jobIds The job IDs
+ */
+function saveJobQueue(jobIds) {
+  PropertiesService.getScriptProperties().setProperty(JOB_QUEUE_PROPERTY, JSON.stringify(jobIds));
+}
+
+/**
+ * Changes the list of job IDs under the script lock, so a job queued while
+ * another execution prunes the queue isn't lost
+ * @param {Function} update Called with the job IDs, returns the new list
+ */
+function updateJobQueue(update) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    saveJobQueue(update(loadJobQueue()));
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Checks whether a job was asked to stop from the Jobs sheet
+ * @return {boolean} Whether the job should be cancelled
+ */
+function isJobCancelRequested(jobId) {
+  return PropertiesService.getScriptProperties().getProperty(JOB_CANCEL_PROPERTY_PREFIX + jobId) === 'true';
+}
+
+/**
+ * Forgets the oldest finished jobs, keeping the most recent MAX_FINISHED_JOBS
+ */
+function pruneFinishedJobs() {
+  const properties = PropertiesService.getScriptProperties();
+  const finished = [JOB_STATUSES.DONE, JOB_STATUSES.FAILED, JOB_STATUSES.CANCELLED];
+
+  const jobIds = loadJobQueue();
+  const finishedIds = jobIds.filter(jobId => {
+    const job = getJob(jobId);
+    return !job || finished.includes(job.status);
+  });
+
+  const removedIds = finishedIds.slice(0, Math.max(0, finishedIds.length - MAX_FINISHED_JOBS));
+  if (removedIds.length === 0) {
+    return;
+  }
+
+  removedIds.forEach(jobId => {
+    deleteChunkedProperty(properties, `job_${jobId}`);
+    properties.deleteProperty(JOB_CANCEL_PROPERTY_PREFIX + jobId);
+  });
+  // Jobs queued since the list was read are kept
+  updateJobQueue(currentIds => currentIds.filter(jobId => !removedIds.includes(jobId)));
+}
+
+/**
+ * Schedules a one-off run of processJobs in a minute, unless one is already scheduled
+ */
+function scheduleJobRun() {
+  const scheduled = ScriptApp.getProjectTriggers()
+    .some(trigger => trigger.getHandlerFunction() === 'processJobs');
+  if (!scheduled) {
+    ScriptApp.newTrigger('processJobs').timeBased().after(60 * 1000).create();
+  }
+}
+
+/**
+ * Deletes the one-off triggers that run processJobs
+ */
+function deleteJobTriggers() {
+  for (const trigger of ScriptApp.getProjectTriggers()) {
+    if (trigger.getHandlerFunction() === 'processJobs') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  }
+}
+
+/**
+ * Shows the Jobs sheet with the progress of every job
+ */
+function showJobsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(JOBS_SHEET_NAME) || ss.insertSheet(JOBS_SHEET_NAME);
+  writeJobsSheet(sheet);
+  sheet.activate();
+}
+
+/**
+ * Rewrites the Jobs sheet from the saved jobs, newest first
+ */
+function writeJobsSheet(sheet) {
+  sheet.clear();
+  sheet.getRange(1, 1, 1, JOBS_HEADERS.length).setValues([JOBS_HEADERS]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+
+  const rows = loadJobQueue().reverse()
+    .map(getJob)
+    .filter(job => job)
+    .map(job => [
+      job.id,
+      job.type,
+      job.description,
+      isJobCancelRequested(job.id) ? 'Cancelling' : job.status,
+      job.total ? `${job.progress} / ${job.total}` : job.progress,
+      job.error,
+      new Date(job.createdAt),
+      new Date(job.updatedAt),
+      job.user
+    ]);
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, JOBS_HEADERS.length).setValues(rows);
+  }
+}
+
+/**
+ * Processes the queue from the menu and shows the result on the Jobs sheet
+ */
+function runJobsFromMenu() {
+  processJobs();
+  showJobsSheet();
+  SpreadsheetApp.getActive().toast('Queued jobs have been run as far as time allowed.', 'Jobs', 5);
+}
+
+/**
+ * Cancels the job in the currently selected row of the Jobs sheet
+ */
+function cancelSelectedJob() {
+  const ui = SpreadsheetApp.getUi();
+  const activeSheet = SpreadsheetApp.getActiveSheet();
+
+  if (activeSheet.getName() !== JOBS_SHEET_NAME || activeSheet.getActiveRange().getRow() <= 1) {
+    ui.alert('Select a Job', `Select a row in the "${JOBS_SHEET_NAME}" sheet first.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const jobId = activeSheet.getRange(activeSheet.getActiveRange().getRow(), 1).getValue();
+  const job = getJob(jobId);
+  if (!job || (job.status !== JOB_STATUSES.QUEUED && job.status !== JOB_STATUSES.RUNNING)) {
+    ui.alert('Cannot Cancel', 'Only queued or running jobs can be cancelled.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const response = ui.alert(
+    'Cancel Job',
+    `This will stop "${job.description}" after its current step. ` +
+    'Whatever it has already done stays done, e.g. threads already moved keep their new label.\n\n' +
+    'Do you want to continue?',
+    ui.ButtonSet.YES_NO
+  );
+  if (response !== ui.Button.YES) {
+    return;
+  }
+
+  // The execution running the job marks it cancelled before its next step
+  PropertiesService.getScriptProperties().setProperty(JOB_CANCEL_PROPERTY_PREFIX + job.id, 'true');
+  scheduleJobRun();
+  writeJobsSheet(activeSheet);
+
+  logDebug(`Asked job ${job.id} to stop`);
+  SpreadsheetApp.getActive().toast(
+    `"${job.description}" will stop before its next step, the next time the jobs run.`, 'Jobs', 5);
+}
@@ -5,27 +5,81 @@
  * and CRUD operations for Gmail labels.
  */
 
+// What can happen to the threads of a label that is deleted while it still has threads
+const THREAD_FATES = {
+  KEEP: 'keep',      // Refuse to delete the label
+  MOVE: 'move',      // Move the threads to another label first
+  PARENT: 'parent',  // Move the threads to the parent label first
+  STRIP: 'strip'     // Remove the label from the threads and delete it
+};
+
+// Errors from an in-place rename that copying the label can get around. Others,
+// such as quota and server errors, are passed on rather than giving the label
+// a new ID and losing its settings and filters.
+const RENAME_BY_COPY_ERRORS = /invalid|not (allowed|modifiable|supported)|precondition/i;
+
+// Gmail labels by name, listed once per execution and kept up to date as the
+// script changes labels, so large accounts aren't listed again for every lookup
+let labelCache = null;
+
+/**
+ * Gets the label cache, listing the Gmail labels if this execution hasn't yet
+ * @return {Object} Map of label name -> Gmail label resource (not a copy)
+ */
+function getCachedLabels() {
+  if (!labelCache) {
+    const response = Gmail.Users.Labels.list('me');
+
+    labelCache = {};
+    if (response && response.labels) {
+      for (const label of response.labels) {
+        labelCache[label.name] = label;
+      }
+    }
+    logDebug(`Found ${Object.keys(labelCache).length} Gmail labels`);
+  }
+  return labelCache;
+}
+
+/**
+ * Adds a created or changed label to the cache, replacing its old entry
+ * @param {Object} label The Gmail label resource returned by the API
+ */
+function rememberLabel(label) {
+  if (!labelCache) {
+    return;
+  }
+  forgetLabel(label.id);
+  labelCache[label.name] = label;
+}
+
+/**
+ * Removes a deleted label from the cache
+ * @param {string} labelId The ID of the label
+ */
+function forgetLabel(labelId) {
+  if (!labelCache) {
+    return;
+  }
+  for (const name in labelCache) {
+    if (labelCache[name].id === labelId) {
+      delete labelCache[name];
+    }
+  }
+}
+
 /**
  * Gets a mapping of all Gmail label names to their IDs
  * @return {Object} Map of label name -> label ID
  */
 function getLabelMap() {
   try {
-    // Use the Gmail Advanced Service to get all labels
-    const response = Gmail.Users.Labels.list('me');
-
-    if (!response || !response.labels) {
-      logError("No labels found in the Gmail account");
-      return {};
-    }
+    const labels = getCachedLabels();
 
-    // Create a map of label name -> label ID
     const labelMap = {};
-    for (const label of response.labels) {
-      labelMap[label.name] = label.id;
+    for (const name in labels) {
+      labelMap[name] = labels[name].id;
     }
-
-    logDebug(`Found ${Object.keys(labelMap).length} Gmail labels`);
     return labelMap;
   } catch (error) {
     logError(`Error getting label map: ${error.message}`);
@@ -33,14 +87,92 @@ function getLabelMap() {
   }
 }
 
+/**
+ * Gets a mapping of all Gmail label names to their full label resources
+ * @return {Object} Map of label name -> Gmail label resource
+ */
+function getLabelResourceMap() {
+  try {
+    return Object.assign({}, getCachedLabels());
+  } catch (error) {
+    logError(`Error getting label resources: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Creates a Gmail label and adds it to the cache
+ * @return {string} The ID of the new label
+ */
+function createGmailLabel(labelName) {
+  const label = Gmail.Users.Labels.create({ name: labelName }, 'me');
+  rememberLabel(label);
+  return label.id;
+}
+
+/**
+ * Changes fields of a Gmail label and updates the cache
+ * @param {Object} resource The fields to change
+ * @param {string} labelId The ID of the label
+ */
+function patchGmailLabel(resource, labelId) {
+  rememberLabel(Gmail.Users.Labels.patch(resource, 'me', labelId));
+}
+
+/**
+ * Deletes a Gmail label and removes it from the cache. Gmail removes the label
+ * from all of its threads.
+ * @param {string} labelId The ID of the label
+ */
+function deleteGmailLabel(labelId) {
+  Gmail.Users.Labels.remove('me', labelId);
+  forgetLabel(labelId);
+}
+
+/**
+ * Re-keys a label resource map by label ID
+ * @param {Object} labelResources Map of label name -> Gmail label resource
+ * @return {Object} Map of label ID -> Gmail label resource
+ */
+function indexLabelsById(labelResources) {
+  const labelsById = {};
+  for (const name in labelResources) {
+    labelsById[labelResources[name].id] = labelResources[name];
+  }
+  return labelsById;
+}
+
 /**
  * Gets the ID of a Gmail label by name
  * @param {string} labelName The name of the label
  * @return {string|null} The label ID or null if not found
  */
 function getLabelId(labelName) {
-  const labelMap = getLabelMap();
-  return labelMap[labelName] || null;
+  try {
+    const label = getCachedLabels()[labelName];
+    return label ? label.id : null;
+  } catch (error) {
+    logError(`Error getting label ID for "${labelName}": ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Applies the color and visibility entered in a row to a Gmail label
+ * @param {string} labelId The ID of the Gmail label
+ */
+function applyRowAttributesToLabel(sheet, row, labelId) {
+  const resource = getRowLabelVisibility(sheet, row);
+
+  const color = getRowLabelColor(sheet, row);
+  if (color) {
+    resource.color = color;
+  }
+
+  if (Object.keys(resource).length > 0) {
+    patchGmailLabel(resource, labelId);
+    logDebug(`Applied sheet attributes to label ${labelId}`);
+  }
 }
 
 /**
@@ -49,6 +181,28 @@ function getLabelId(labelName) {
 function handleLabelChange(sheet, row, oldLabelName, newLabelName) {
   logDebug(`Processing label change: "${oldLabelName}" -> "${newLabelName}"`);
 
+  // Filters and integrations depend on locked labels, so they keep their name
+  if (oldLabelName !== "" && newLabelName !== oldLabelName && isRowLocked(sheet, row)) {
+    refuseLockedLabelChange(sheet, row, oldLabelName, newLabelName);
+    return;
+  }
+
+  if (newLabelName !== "") {
+    // Fix stray whitespace quietly, but refuse names Gmail would reject
+    const normalizedName = normalizeLabelName(newLabelName);
+    if (normalizedName !== newLabelName) {
+      sheet.getRange(row, CONFIG.NAME_COLUMN).setValue(normalizedName);
+      newLabelName = normalizedName;
+    }
+
+    const problem = validateLabelName(newLabelName, getLabelMap(), oldLabelName);
+    if (problem) {
+      rejectLabelName(sheet, row, oldLabelName, newLabelName, problem);
+      return;
+    }
+    clearInvalidLabelNameFlag(sheet, row);
+  }
+
   // Determine the action based on the change
   if (oldLabelName === "" && newLabelName !== "") {
     // Create a new label
@@ -75,7 +229,7 @@ function createLabel(sheet, row, labelName) {
       logDebug(`Label "${labelName}" already exists with ID: ${existingId}`);
       sheet.getRange(row, CONFIG.LABEL_ID_COLUMN).setValue(existingId);
       // Toast notification for existing label
-      SpreadsheetApp.getActive().toast(`Label "${labelName}" already exists in Gmail.`, 'Info', 3);
+      notify(`Label "${labelName}" already exists in Gmail.`, 'Info', 3);
       return;
     }
 
@@ -83,37 +237,37 @@ function createLabel(sheet, row, labelName) {
     addParentLabelsToSheet(sheet, labelName);
 
     // Create the label (now that all parents exist)
-    GmailApp.createLabel(labelName);
+    const newLabelId = createGmailLabel(labelName);
 
-    // Get the ID of the newly created label
-    const newLabelId = getLabelId(labelName);
+    // Store the label ID in the hidden column
+    sheet.getRange(row, CONFIG.LABEL_ID_COLUMN).setValue(newLabelId);
+    logInfo(`Label "${labelName}" created successfully with ID: ${newLabelId}`);
 
-    if (newLabelId) {
-      // Store the label ID in the hidden column
-      sheet.getRange(row, CONFIG.LABEL_ID_COLUMN).setValue(newLabelId);
-      logDebug(`Label "${labelName}" created successfully with ID: ${newLabelId}`);
+    // Apply any color and visibility already entered for the row
+    applyRowAttributesToLabel(sheet, row, newLabelId);
+    logAuditEntry(AUDIT_ACTIONS.CREATE, '', labelName, newLabelId, 0, 'Success');
+    requestTreeLayout();
 
-      // Toast notification for new label
-      SpreadsheetApp.getActive().toast(`New label "${labelName}" created in Gmail.`, 'Success', 3);
-    } else {
-      logError(`Failed to retrieve ID for newly created label "${labelName}"`);
-      SpreadsheetApp.getActive().toast(`Created label but couldn't retrieve its ID`, 'Warning', 5);
-    }
+    // Toast notification for new label
+    notify(`New label "${labelName}" created in Gmail.`, 'Success', 3);
   } catch (error) {
     logError(`Error creating label "${labelName}": ${error.message}`);
-    SpreadsheetApp.getActive().toast(`Error creating label "${labelName}": ${error.message}`, 'Error', 10);
+    logAuditEntry(AUDIT_ACTIONS.CREATE, '', labelName, '', '', `Error: ${error.message}`);
+    notify(`Error creating label "${labelName}": ${error.message}`, 'Error', 10);
   }
 }
 
 /**
- * Updates an existing Gmail label, with support for nested labels
+ * Updates an existing Gmail label, with support for nested labels.
+ * Renaming a parent also renames every label nested beneath it.
  */
 function updateLabel(sheet, row, oldLabelName, newLabelName) {
   logDebug(`Updating label: "${oldLabelName}" -> "${newLabelName}"`);
 
   try {
     // Get the ID of the old label
-    const oldLabelId = getLabelId(oldLabelName);
+    const labelMap = getLabelMap();
+    const oldLabelId = labelMap[oldLabelName];
 
     // If old label not found, just create the new one
     if (!oldLabelId) {
@@ -122,69 +276,248 @@ function updateLabel(sheet, row, oldLabelName, newLabelName) {
       return;
     }
 
+    // Renaming onto a label that already exists merges the two
+    if (labelMap[newLabelName]) {
+      if (confirmMergeLabels(oldLabelName, newLabelName, countLabelThreads(oldLabelId))) {
+        mergeLabels(sheet, oldLabelName, newLabelName);
+      } else {
+        sheet.getRange(row, CONFIG.NAME_COLUMN).setValue(oldLabelName);
+        notify(`Rename of "${oldLabelName}" cancelled.`, 'Info', 3);
+      }
+      return;
+    }
+
+    // Filters refer to labels by ID, so they only survive an in-place rename
+    const filterCount = countFiltersUsingLabel(oldLabelId);
+
+    // Nested labels move along with their parent, so confirm before touching
+    // them, and refuse if that would rename locked ones
+    const childLabelNames = getChildLabelNames(labelMap, oldLabelName);
+    const lockedChildNames = getLockedLabelNames(sheet, childLabelNames);
+    if (lockedChildNames.length > 0) {
+      refuseLockedSubtreeRename(sheet, row, oldLabelName, newLabelName, lockedChildNames);
+      return;
+    }
+    if (childLabelNames.length > 0 &&
+      !confirmSubtreeRename(oldLabelName, newLabelName, childLabelNames)) {
+      logInfo(`Rename of "${oldLabelName}" cancelled by user`);
+      sheet.getRange(row, CONFIG.NAME_COLUMN).setValue(oldLabelName);
+      notify(`Rename of "${oldLabelName}" cancelled.`, 'Info', 3);
+      return;
+    }
+
     // Check if this is a nested label and add parent labels to spreadsheet
     addParentLabelsToSheet(sheet, newLabelName);
 
-    // Get all threads with the old label
-    const threads = GmailApp.search(`label:${oldLabelName}`);
-    logDebug(`Found ${threads.length} threads with label "${oldLabelName}"`);
-
-    // Create the new label
-    GmailApp.createLabel(newLabelName);
+    // A large subtree can take longer than one execution, so nested labels are
+    // renamed by a background job: deepest first so a fallback copy never deletes
+    // a parent that still has children, and the parent last
+    if (childLabelNames.length > 0) {
+      const job = enqueueJob(
+        JOB_TYPES.RENAME_SUBTREE,
+        `Rename "${oldLabelName}" to "${newLabelName}" and ${childLabelNames.length} nested label(s)`,
+        { oldLabelName, newLabelName, oldLabelId, childLabelNames, filterCount },
+        childLabelNames.length + 1
+      );
+      runJobNow(job, () =>
+        `The label "${oldLabelName}" has been renamed to "${newLabelName}" along with ${childLabelNames.length} nested label(s) within Gmail.`);
+      return;
+    }
 
-    // Get the ID of the new label
-    const newLabelId = getLabelId(newLabelName);
+    const newLabelId = renameGmailLabel(oldLabelId, oldLabelName, newLabelName);
     if (!newLabelId) {
-      logError(`Failed to get ID for new label "${newLabelName}"`);
-      SpreadsheetApp.getActive().toast(`Error updating label: couldn't create new label`, 'Error', 10);
+      notify(`Error updating label: couldn't create new label`, 'Error', 10);
       return;
     }
 
-    // Get the actual label objects
-    const oldLabel = GmailApp.getUserLabelByName(oldLabelName);
-    const newLabel = GmailApp.getUserLabelByName(newLabelName);
+    // A copied label starts without the old label's settings
+    if (newLabelId !== oldLabelId) {
+      applyRowAttributesToLabel(sheet, row, newLabelId);
+    }
 
-    if (!oldLabel || !newLabel) {
-      logError(`Failed to get label objects for "${oldLabelName}" or "${newLabelName}"`);
-      return;
+    // Update the label ID in the spreadsheet
+    sheet.getRange(row, CONFIG.LABEL_ID_COLUMN).setValue(newLabelId);
+
+    logInfo(`Label updated successfully from "${oldLabelName}" to "${newLabelName}"`);
+    logAuditEntry(AUDIT_ACTIONS.RENAME, oldLabelName, newLabelName, newLabelId, '', 'Success');
+    renameLabelInFilters(oldLabelName, newLabelName);
+    requestTreeLayout();
+
+    // Toast notification for label rename
+    notify(`The label "${oldLabelName}" has been renamed to "${newLabelName}" within Gmail.`, 'Success', 5);
+
+    if (filterCount > 0 && newLabelId !== oldLabelId) {
+      notify(
+        `${filterCount} filter(s) still point at the old "${oldLabelName}" label, which no longer exists. ` +
+        `Update them on the ${FILTERS_SHEET_NAME} sheet.`, 'Warning', 10);
     }
+  } catch (error) {
+    logError(`Error updating label from "${oldLabelName}" to "${newLabelName}": ${error.message}`);
+    logAuditEntry(AUDIT_ACTIONS.RENAME, oldLabelName, newLabelName, '', '', `Error: ${error.message}`);
+    notify(`Error updating label: ${error.message}`, 'Error', 10);
+  }
+}
 
-    // Process threads in batches
-    const BATCH_SIZE = 100;
-    for (let i = 0; i < threads.length; i += BATCH_SIZE) {
-      const batch = threads.slice(i, i + BATCH_SIZE);
+/**
+ * Renames a single Gmail label, in place where possible so its ID, settings and
+ * filters are kept. Errors a copy can't get around are thrown.
+ * @return {string|null} The ID of the renamed label, or null if the rename failed
+ */
+function renameGmailLabel(labelId, oldLabelName, newLabelName) {
+  try {
+    patchGmailLabel({ name: newLabelName }, labelId);
+    logDebug(`Label ${labelId} renamed in place to "${newLabelName}"`);
+    return labelId;
+  } catch (error) {
+    if (!RENAME_BY_COPY_ERRORS.test(error.message)) {
+      throw error;
+    }
+    logError(`In-place rename of "${oldLabelName}" failed, copying threads instead: ${error.message}`);
+    return renameLabelByCopy(oldLabelName, newLabelName);
+  }
+}
 
-      // Add the new label to threads
-      if (batch.length > 0) {
-        newLabel.addToThreads(batch);
-      }
+/**
+ * Renames a Gmail label and updates the name and ID in the row holding it
+ * @return {string} The ID of the renamed label, which changes if it had to be copied
+ */
+function renameLabelAndRow(sheet, labelId, oldLabelName, newLabelName) {
+  const newLabelId = renameGmailLabel(labelId, oldLabelName, newLabelName);
+  if (!newLabelId) {
+    throw new Error(`Could not rename "${oldLabelName}" to "${newLabelName}"`);
+  }
+
+  const row = findLabelRowById(sheet, labelId);
+  if (row) {
+    sheet.getRange(row, CONFIG.NAME_COLUMN).setValue(newLabelName);
+    sheet.getRange(row, CONFIG.LABEL_ID_COLUMN).setValue(newLabelId);
+    if (newLabelId !== labelId) {
+      applyRowAttributesToLabel(sheet, row, newLabelId);
     }
+  }
+  return newLabelId;
+}
 
-    // Remove the old label from threads in batches
-    for (let i = 0; i < threads.length; i += BATCH_SIZE) {
-      const batch = threads.slice(i, i + BATCH_SIZE);
+/**
+ * Gets the names of all labels nested beneath a label, deepest first
+ * @param {Object} labelMap Map of label name -> label ID
+ * @param {string} labelName The name of the parent label
+ * @return {string[]} The nested label names
+ */
+function getChildLabelNames(labelMap, labelName) {
+  const prefix = `${labelName}/`;
+  return Object.keys(labelMap)
+    .filter(name => name.startsWith(prefix))
+    .sort((a, b) => b.split('/').length - a.split('/').length || a.localeCompare(b));
+}
 
-      if (batch.length > 0) {
-        oldLabel.removeFromThreads(batch);
-      }
+/**
+ * Merges one label into another by moving every thread from the source label
+ * to the target label, then deleting the source label and its sheet row. Large
+ * merges carry on in the background as a job.
+ * @return {number|null} The number of threads being moved, or null if the merge failed
+ */
+function mergeLabels(sheet, sourceLabelName, targetLabelName) {
+  logDebug(`Merging label "${sourceLabelName}" into "${targetLabelName}"`);
+
+  try {
+    const labelMap = getLabelMap();
+    const sourceLabelId = labelMap[sourceLabelName];
+
+    if (!sourceLabelId || !labelMap[targetLabelName]) {
+      const missing = sourceLabelId ? targetLabelName : sourceLabelName;
+      notify(`Cannot merge: label "${missing}" not found in Gmail.`, 'Warning', 10);
+      return null;
     }
 
-    // Delete the old label
-    oldLabel.deleteLabel();
+    // Merging deletes the source label
+    if (isLabelLocked(sheet, sourceLabelId)) {
+      notify(`Cannot merge "${sourceLabelName}" as it is locked. Untick its Locked box first.`, 'Locked Label', 10);
+      return null;
+    }
 
-    // Update the label ID in the spreadsheet
-    sheet.getRange(row, CONFIG.LABEL_ID_COLUMN).setValue(newLabelId);
+    // Nested labels would be left behind without a parent
+    if (getChildLabelNames(labelMap, sourceLabelName).length > 0) {
+      notify(
+        `Cannot merge "${sourceLabelName}" as it has nested labels. Move or merge those first.`, 'Warning', 10);
+      return null;
+    }
 
-    logDebug(`Label updated successfully from "${oldLabelName}" to "${newLabelName}"`);
+    const filterCount = countFiltersUsingLabel(sourceLabelId);
+    const threadCount = countLabelThreads(sourceLabelId);
+    const messageCount = Gmail.Users.Labels.get('me', sourceLabelId).messagesTotal || 0;
+
+    // Moving the threads can outlast the execution, so it runs as a job that
+    // deletes the source label and its row once the label is empty
+    const job = enqueueJob(
+      JOB_TYPES.MERGE,
+      `Merge "${sourceLabelName}" into "${targetLabelName}"`,
+      {
+        sourceLabelId: sourceLabelId,
+        sourceLabelName: sourceLabelName,
+        targetLabelId: labelMap[targetLabelName],
+        targetLabelName: targetLabelName,
+        threadCount: threadCount
+      },
+      messageCount
+    );
+    const result = runJobNow(job, () =>
+      `Merged "${sourceLabelName}" into "${targetLabelName}": ${threadCount} thread(s) moved.`);
+    if (result.status === JOB_STATUSES.FAILED) {
+      return null;
+    }
 
-    // Toast notification for label rename
-    SpreadsheetApp.getActive().toast(`The label "${oldLabelName}" has been renamed to "${newLabelName}" within Gmail.`, 'Success', 5);
+    if (filterCount > 0) {
+      notify(
+        `${filterCount} filter(s) still point at "${sourceLabelName}", which no longer exists. ` +
+        `Update them on the ${FILTERS_SHEET_NAME} sheet.`, 'Warning', 10);
+    }
+    return threadCount;
   } catch (error) {
-    logError(`Error updating label from "${oldLabelName}" to "${newLabelName}": ${error.message}`);
-    SpreadsheetApp.getActive().toast(`Error updating label: ${error.message}`, 'Error', 10);
+    logError(`Error merging "${sourceLabelName}" into "${targetLabelName}": ${error.message}`);
+    logAuditEntry(AUDIT_ACTIONS.MERGE, sourceLabelName, targetLabelName, '', '', `Error: ${error.message}`);
+    notify(`Error merging labels: ${error.message}`, 'Error', 10);
+    return null;
   }
 }
 
+/**
+ * Renames a label by creating the new label and queuing a job that moves every
+ * thread onto it and deletes the old label. Only used when an in-place rename
+ * is not possible, since the label gets a new ID and loses its color and visibility.
+ * @return {string} The ID of the new label
+ */
+function renameLabelByCopy(oldLabelName, newLabelName) {
+  const oldLabelId = getLabelId(oldLabelName);
+  const messageCount = Gmail.Users.Labels.get('me', oldLabelId).messagesTotal || 0;
+
+  // Create the new label
+  const newLabelId = createGmailLabel(newLabelName);
+
+  // Moving the threads can outlast the execution, so it runs as a job that
+  // deletes the old label once it is empty
+  enqueueJob(
+    JOB_TYPES.MOVE_THREADS,
+    `Move threads from "${oldLabelName}" to "${newLabelName}"`,
+    {
+      sourceLabelId: oldLabelId,
+      sourceLabelName: oldLabelName,
+      targetLabelId: newLabelId,
+      targetLabelName: newLabelName
+    },
+    messageCount
+  );
+
+  notify(
+    `"${oldLabelName}" couldn't be renamed in place, so "${newLabelName}" was created and its ${messageCount} ` +
+    `message(s) are being moved to it in the background. "${oldLabelName}" stays until the move finishes.`,
+    'Info',
+    10
+  );
+
+  return newLabelId;
+}
+
 /**
  * Deletes a Gmail label
  */
@@ -202,42 +535,144 @@ function deleteLabel(sheet, row, labelName) {
       return;
     }
 
-    // Get the label object
-    const label = GmailApp.getUserLabelByName(labelName);
-    if (!label) {
-      logDebug(`Label object for "${labelName}" not found`);
-      sheet.getRange(row, CONFIG.LABEL_ID_COLUMN).clearContent();
+    // Filters that use the label would stop working, so check before going further
+    const filterCount = countFiltersUsingLabel(labelId);
+    if (filterCount > 0 && !confirmDeleteLabelUsedByFilters(labelName, filterCount)) {
+      logDebug(`Deletion of "${labelName}" cancelled as it is used by filters`);
+      sheet.getRange(row, CONFIG.NAME_COLUMN).setValue(labelName);
       return;
     }
 
     // Check if any threads use this label
-    const threads = GmailApp.search(`label:${labelName}`);
+    const threadCount = countLabelThreads(labelId);
 
-    if (threads.length > 0) {
+    // Labels with threads are kept unless the user chooses what happens to the threads
+    const choice = threadCount > 0 ? chooseThreadFate(labelName, threadCount) : { fate: THREAD_FATES.KEEP };
+
+    if (threadCount > 0 && (choice.fate === THREAD_FATES.MOVE || choice.fate === THREAD_FATES.PARENT)) {
+      // Make sure the destination exists, then move the threads onto it
+      if (!getLabelId(choice.targetLabelName)) {
+        const targetRow = sheet.getLastRow() + 1;
+        sheet.getRange(targetRow, CONFIG.NAME_COLUMN).setValue(choice.targetLabelName);
+        createLabel(sheet, targetRow, choice.targetLabelName);
+      }
+
+      if (mergeLabels(sheet, labelName, choice.targetLabelName) === null) {
+        sheet.getRange(row, CONFIG.NAME_COLUMN).setValue(labelName);
+      }
+    } else if (threadCount > 0 && choice.fate === THREAD_FATES.STRIP) {
+      // Gmail removes a deleted label from all of its threads
+      deleteGmailLabel(labelId);
+      sheet.getRange(row, CONFIG.LABEL_ID_COLUMN).clearContent();
+      logDebug(`Label "${labelName}" deleted along with its ${threadCount} thread associations`);
+      logAuditEntry(AUDIT_ACTIONS.DELETE, labelName, '', labelId, threadCount, 'Success');
+
+      notify(
+        `The label "${labelName}" has been removed from ${threadCount} thread(s) and deleted from Gmail.`, 'Info', 5);
+    } else if (threadCount > 0) {
       // There are threads with this label, send notification
-      const message = `Cannot delete label "${labelName}" as it still has ${threads.length} threads using it.`;
-      logDebug(message);
+      const message = `Cannot delete label "${labelName}" as it still has ${threadCount} threads using it.`;
+      logWarn(message);
 
       // Show warning in spreadsheet
-      SpreadsheetApp.getActive().toast(message, 'Warning', 10);
+      notify(message, 'Warning', 10);
+      logAuditEntry(AUDIT_ACTIONS.DELETE, labelName, '', labelId, threadCount, 'Refused');
 
       // Restore the label name in the spreadsheet
       sheet.getRange(row, CONFIG.NAME_COLUMN).setValue(labelName);
     } else {
       // No threads with this label, proceed with deletion
-      label.deleteLabel();
+      deleteGmailLabel(labelId);
       sheet.getRange(row, CONFIG.LABEL_ID_COLUMN).clearContent();
-      logDebug(`Label "${labelName}" deleted successfully`);
+      logInfo(`Label "${labelName}" deleted successfully`);
+      logAuditEntry(AUDIT_ACTIONS.DELETE, labelName, '', labelId, 0, 'Success');
 
       // Toast notification for label deletion
-      SpreadsheetApp.getActive().toast(`The label "${labelName}" has been deleted from Gmail.`, 'Info', 5);
+      notify(`The label "${labelName}" has been deleted from Gmail.`, 'Info', 5);
     }
   } catch (error) {
     logError(`Error deleting label "${labelName}": ${error.message}`);
-    SpreadsheetApp.getActive().toast(`Error deleting label: ${error.message}`, 'Error', 10);
+    logAuditEntry(AUDIT_ACTIONS.DELETE, labelName, '', '', '', `Error: ${error.message}`);
+    notify(`Error deleting label: ${error.message}`, 'Error', 10);
+  }
+}
+
+/**
+ * Finds the spreadsheet row holding a label ID
+ * @return {number|null} The row number, or null if the ID is not in the sheet
+ */
+function findLabelRowById(sheet, labelId) {
+  return findRowWithValue(sheet, CONFIG.LABEL_ID_COLUMN, labelId);
+}
+
+/**
+ * Finds the first row below the header whose cell in a column holds a value,
+ * reading the column in one call
+ * @return {number|null} The row number, or null if no row holds the value
+ */
+function findRowWithValue(sheet, column, value) {
+  const values = readColumn(sheet, column);
+  const index = values.findIndex(cell => cell === value);
+  return index === -1 ? null : CONFIG.HEADER_ROW + 1 + index;
+}
+
+/**
+ * Reads every value below the header in one column of the sheet
+ * @return {Array} The values, the first being from the row after the header
+ */
+function readColumn(sheet, column) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= CONFIG.HEADER_ROW) {
+    return [];
+  }
+  return sheet.getRange(CONFIG.HEADER_ROW + 1, column, lastRow - CONFIG.HEADER_ROW, 1)
+    .getValues()
+    .map(values => values[0]);
+}
+
+/**
+ * Handles a row that was deleted from the sheet by deleting its Gmail label.
+ * Labels that still have threads are kept and their row is added back.
+ * @param {Object} label The Gmail label resource the deleted row pointed at
+ */
+function handleRemovedLabelRow(sheet, label) {
+  logDebug(`Row for label "${label.name}" was deleted`);
+
+  try {
+    const threadCount = countLabelThreads(label.id);
+
+    if (threadCount > 0) {
+      const message = `Cannot delete label "${label.name}" as it still has ${threadCount} threads using it. Its row has been added back.`;
+      logWarn(message);
+      notify(message, 'Warning', 10);
+      logAuditEntry(AUDIT_ACTIONS.DELETE, label.name, '', label.id, threadCount, 'Refused');
+
+      // Restore the row at the end of the sheet
+      appendLabelRows(sheet, [label]);
+      return;
+    }
+
+    deleteGmailLabel(label.id);
+    logDebug(`Label "${label.name}" deleted successfully`);
+    logAuditEntry(AUDIT_ACTIONS.DELETE, label.name, '', label.id, 0, 'Success');
+    notify(`The label "${label.name}" has been deleted from Gmail.`, 'Info', 5);
+  } catch (error) {
+    logError(`Error deleting label "${label.name}": ${error.message}`);
+    logAuditEntry(AUDIT_ACTIONS.DELETE, label.name, '', label.id, '', `Error: ${error.message}`);
+    notify(`Error deleting label: ${error.message}`, 'Error', 10);
   }
 }
 
+/**
+ * Counts the threads using a label. Labels with any threads are never deleted
+ * by the script. The count is looked up by ID, as a search by name can miss
+ * names with spaces or special characters.
+ * @return {number} The number of threads with the label
+ */
+function countLabelThreads(labelId) {
+  return Gmail.Users.Labels.get('me', labelId).threadsTotal || 0;
+}
+
 /**
  * Adds parent labels to the spreadsheet for a nested label
  */
@@ -249,18 +684,16 @@ function addParentLabelsToSheet(sheet, labelName) {
 
   // Create a map of existing sheet labels to check for parents
   const sheetLabelMap = {};
-  const lastRow = sheet.getLastRow();
-  for (let r = CONFIG.HEADER_ROW + 1; r <= lastRow; r++) {
-    const currentLabel = sheet.getRange(r, CONFIG.NAME_COLUMN).getValue();
+  readColumn(sheet, CONFIG.NAME_COLUMN).forEach(currentLabel => {
     if (currentLabel) {
-      sheetLabelMap[currentLabel] = r;
+      sheetLabelMap[currentLabel] = true;
     }
-  }
+  });
 
   // Process the nested structure
   const parts = labelName.split('/');
   let parentPath = '';
-  let parentsAdded = 0;
+  const newRows = [];
 
   // Create each level of the hierarchy if needed
   for (let i = 0; i < parts.length - 1; i++) {
@@ -270,32 +703,25 @@ function addParentLabelsToSheet(sheet, labelName) {
     parentPath += parts[i];
 
     // Create the parent label in Gmail if it doesn't exist
-    const parentId = getLabelId(parentPath);
+    let parentId = getLabelId(parentPath);
     if (!parentId) {
-      GmailApp.createLabel(parentPath);
+      parentId = createGmailLabel(parentPath);
       logDebug(`Created parent label "${parentPath}" in Gmail`);
-      SpreadsheetApp.getActive().toast(`New parent label "${parentPath}" created in Gmail.`, 'Info', 3);
+      notify(`New parent label "${parentPath}" created in Gmail.`, 'Info', 3);
     }
 
     // Add the parent label to the spreadsheet if it doesn't exist
     if (!sheetLabelMap[parentPath]) {
-      // Append to the end of the sheet
-      const newRow = lastRow + 1 + parentsAdded;
-
-      // Add the parent label to the new row
-      sheet.getRange(newRow, CONFIG.NAME_COLUMN).setValue(parentPath);
-
-      // Get the parent label ID and add to hidden column
-      const parentLabelId = getLabelId(parentPath);
-      if (parentLabelId) {
-        sheet.getRange(newRow, CONFIG.LABEL_ID_COLUMN).setValue(parentLabelId);
-      }
-
-      logDebug(`Added parent label "${parentPath}" to spreadsheet at row ${newRow}`);
-
-      // Update the map to include the new parent
-      sheetLabelMap[parentPath] = newRow;
-      parentsAdded++;
+      newRows.push({ id: parentId, name: parentPath });
+      sheetLabelMap[parentPath] = true;
     }
   }
+
+  // Append the missing parents to the end of the sheet in one write per column
+  if (newRows.length > 0) {
+    const firstRow = sheet.getLastRow() + 1;
+    sheet.getRange(firstRow, CONFIG.LABEL_ID_COLUMN, newRows.length, 1).setValues(newRows.map(entry => [entry.id]));
+    sheet.getRange(firstRow, CONFIG.NAME_COLUMN, newRows.length, 1).setValues(newRows.map(entry => [entry.name]));
+    logDebug(`Added ${newRows.length} parent label(s) to spreadsheet from row ${firstRow}`);
+  }
 }
@@ -0,0 +1,225 @@
+/**
+ * locks.js - Gmail Label Manager
+ *
+ * Contains locked labels, ticked in the Locked column of the Labels sheet.
+ * Locked labels can't be renamed or deleted from the sheet, the sidebar or a
+ * sync, so filters and integrations that depend on them keep working. Also
+ * protects the hidden label ID column from being edited by hand.
+ */
+
+// Document property remembering the locked label IDs, so a label stays locked
+// when its row (and with it the tick) is removed
+const LOCKED_LABELS_PROPERTY = 'lockedLabelIds';
+
+// Description of the protection on the label ID column, used to find it again
+const LABEL_ID_PROTECTION_DESCRIPTION = 'Label IDs are managed by Gmail Label Manager';
+
+// Locked label IDs, read once per execution
+let lockedLabelIds = null;
+
+/**
+ * Sets up the Locked column with a checkbox in every row
+ */
+function setupLockedColumn() {
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+    if (!sheet) {
+      // Sheet doesn't exist yet, don't proceed
+      return;
+    }
+
+    sheet.getRange(CONFIG.HEADER_ROW, CONFIG.LOCKED_COLUMN).setValue('Locked');
+
+    // A validation rule rather than insertCheckboxes, which would untick every row
+    const rowCount = sheet.getMaxRows() - CONFIG.HEADER_ROW;
+    sheet.getRange(CONFIG.HEADER_ROW + 1, CONFIG.LOCKED_COLUMN, rowCount, 1)
+      .setDataValidation(SpreadsheetApp.newDataValidation().requireCheckbox().build());
+  } catch (error) {
+    logError(`Error in setupLockedColumn: ${error.message}`);
+  }
+}
+
+/**
+ * Gets the IDs of the locked labels: those ticked in the sheet, plus those
+ * that were locked when their row was removed
+ * @return {Object} The locked label IDs, as keys mapped to true
+ */
+function getLockedLabelIds(sheet) {
+  if (!lockedLabelIds) {
+    const ids = readColumn(sheet, CONFIG.LABEL_ID_COLUMN).map(value => String(value));
+    const locks = readColumn(sheet, CONFIG.LOCKED_COLUMN);
+
+    lockedLabelIds = {};
+    ids.forEach((id, index) => {
+      if (id && locks[index] === true) {
+        lockedLabelIds[id] = true;
+      }
+    });
+    for (const id of loadLockedLabelIds()) {
+      if (!ids.includes(id)) {
+        lockedLabelIds[id] = true;
+      }
+    }
+  }
+  return lockedLabelIds;
+}
+
+/**
+ * Checks whether a label is locked
+ * @return {boolean} Whether the label can't be renamed or deleted
+ */
+function isLabelLocked(sheet, labelId) {
+  return getLockedLabelIds(sheet)[labelId] === true;
+}
+
+/**
+ * Checks whether the label in a row is locked. The locks saved before the
+ * edit count too, so clearing a locked row along with its tick doesn't get
+ * past the lock.
+ * @return {boolean} Whether the row's label can't be renamed or deleted
+ */
+function isRowLocked(sheet, row) {
+  if (sheet.getRange(row, CONFIG.LOCKED_COLUMN).getValue() === true) {
+    return true;
+  }
+
+  const labelId = String(sheet.getRange(row, CONFIG.LABEL_ID_COLUMN).getValue());
+  return labelId !== '' && loadLockedLabelIds().includes(labelId);
+}
+
+/**
+ * Picks out the locked labels from a list of label names, e.g. the nested
+ * labels a rename would take along
+ * @param {string[]} labelNames The label names
+ * @return {string[]} The names of the locked labels
+ */
+function getLockedLabelNames(sheet, labelNames) {
+  const labelMap = getLabelMap();
+  return labelNames.filter(name => labelMap[name] && isLabelLocked(sheet, labelMap[name]));
+}
+
+/**
+ * Explains why a label with locked nested labels can't be renamed or moved
+ * @param {string[]} lockedLabelNames The locked nested labels
+ * @return {string} The message to show
+ */
+function describeLockedNestedLabels(labelName, lockedLabelNames) {
+  // Keep the message readable for large subtrees
+  const MAX_LISTED = 10;
+  let names = lockedLabelNames.slice(0, MAX_LISTED).map(name => `"${name}"`).join(', ');
+  if (lockedLabelNames.length > MAX_LISTED) {
+    names += ` and ${lockedLabelNames.length - MAX_LISTED} more`;
+  }
+  return `"${labelName}" can't be renamed or moved, as its locked nested label(s) ${names} would be renamed along with it. ` +
+    'Untick their Locked boxes first to change it.';
+}
+
+/**
+ * Saves the locked label IDs, called whenever the label ID snapshot is saved
+ */
+function saveLockedLabelIds(sheet) {
+  lockedLabelIds = null;
+  saveChunkedProperty(PropertiesService.getDocumentProperties(), LOCKED_LABELS_PROPERTY,
+    Object.keys(getLockedLabelIds(sheet)).join(','));
+}
+
+/**
+ * Loads the label IDs saved by saveLockedLabelIds
+ * @return {string[]} The label IDs, or an empty list if none were saved
+ */
+function loadLockedLabelIds() {
+  const serialized = loadChunkedProperty(PropertiesService.getDocumentProperties(), LOCKED_LABELS_PROPERTY);
+  return serialized ? serialized.split(',') : [];
+}
+
+/**
+ * Puts back the name of a locked label that was changed in the sheet and
+ * explains why
+ */
+function refuseLockedLabelChange(sheet, row, oldLabelName, newLabelName) {
+  const labelId = String(sheet.getRange(row, CONFIG.LABEL_ID_COLUMN).getValue());
+  logWarn(`Refused change to locked label "${oldLabelName}" in row ${row}`, { newName: newLabelName });
+
+  sheet.getRange(row, CONFIG.NAME_COLUMN).setValue(oldLabelName);
+  sheet.getRange(row, CONFIG.LOCKED_COLUMN).setValue(true);
+  logAuditEntry(newLabelName ? AUDIT_ACTIONS.RENAME : AUDIT_ACTIONS.DELETE,
+    oldLabelName, newLabelName, labelId, '', 'Refused: locked');
+
+  notify(
+    `"${oldLabelName}" is locked, so it can't be ${newLabelName ? 'renamed' : 'deleted'}. ` +
+    'Untick its Locked box first to change it.',
+    'Locked Label',
+    10
+  );
+}
+
+/**
+ * Puts back the name of a label whose rename would also rename locked nested
+ * labels, and explains why
+ * @param {string[]} lockedLabelNames The locked nested labels
+ */
+function refuseLockedSubtreeRename(sheet, row, oldLabelName, newLabelName, lockedLabelNames) {
+  logWarn(`Refused rename of "${oldLabelName}" with locked nested labels`,
+    { newName: newLabelName, locked: lockedLabelNames });
+
+  sheet.getRange(row, CONFIG.NAME_COLUMN).setValue(oldLabelName);
+  logAuditEntry(AUDIT_ACTIONS.RENAME, oldLabelName, newLabelName, getLabelId(oldLabelName), '',
+    'Refused: nested labels locked');
+
+  notify(describeLockedNestedLabels(oldLabelName, lockedLabelNames), 'Locked Label', 10);
+}
+
+/**
+ * Adds back the row of a locked label that was removed from the sheet
+ * @param {Object} label The Gmail label resource the removed row pointed at
+ */
+function restoreLockedLabelRow(sheet, label) {
+  logWarn(`Row of locked label "${label.name}" was removed and has been added back`);
+  appendLabelRows(sheet, [label]);
+  notify(`"${label.name}" is locked, so its row has been added back. Untick its Locked box first to delete it.`,
+    'Locked Label', 10);
+}
+
+/**
+ * Protects the hidden label ID column. The protection only warns, as the
+ * owner can edit any protected range and the script has to keep writing IDs
+ * for everyone; IDs changed by hand anyway are put back by the edit trigger.
+ */
+function protectLabelIdColumn(sheet) {
+  const protections = sheet.getProtections(SpreadsheetApp.ProtectionType.RANGE)
+    .filter(protection => protection.getDescription() === LABEL_ID_PROTECTION_DESCRIPTION);
+
+  // Move the protection along if the column was changed in the Settings sheet
+  let protectedAlready = false;
+  for (const protection of protections) {
+    if (protection.getRange().getColumn() === CONFIG.LABEL_ID_COLUMN) {
+      protectedAlready = true;
+    } else {
+      protection.remove();
+    }
+  }
+  if (protectedAlready) {
+    return;
+  }
+
+  // Open-ended, so rows added later are protected too
+  const column = columnToLetter(CONFIG.LABEL_ID_COLUMN);
+  sheet.getRange(`${column}:${column}`)
+    .protect()
+    .setDescription(LABEL_ID_PROTECTION_DESCRIPTION)
+    .setWarningOnly(true);
+  logDebug('Label ID column protected');
+}
+
+/**
+ * Puts back a label ID that was changed by hand
+ */
+function handleLabelIdEdit(sheet, row, oldLabelId, newLabelId) {
+  if (oldLabelId === newLabelId) {
+    return;
+  }
+
+  logWarn(`Label ID in row ${row} was changed by hand and has been put back`, { typed: newLabelId });
+  sheet.getRange(row, CONFIG.LABEL_ID_COLUMN).setValue(oldLabelId);
+  notify('Label IDs are managed by the script and can\'t be edited, so the ID has been put back.', 'Label ID', 5);
+}
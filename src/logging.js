@@ -1,21 +1,318 @@
 /**
  * logging.js - Gmail Label Manager
  *
- * Contains utility functions for logging and debugging.
+ * Contains utility functions for logging and debugging. Entries are structured,
+ * carry a level and the ID of the run (one edit, sync or job run) they belong
+ * to, and can also be written to a "Logs" sheet that is rotated automatically.
  */
 
+const LOG_LEVELS = {
+  DEBUG: 0,
+  INFO: 1,
+  WARN: 2,
+  ERROR: 3
+};
+
+const DEFAULT_LOG_LEVEL = 'INFO';
+
+const LOGS_SHEET_NAME = 'Logs';
+const LOGS_HEADERS = ['Time', 'Level', 'Run ID', 'Operation', 'User', 'Message', 'Details'];
+
+// Entries kept on the Logs sheet. Older rows are removed in blocks of
+// LOG_ROTATION_BLOCK so the sheet isn't trimmed on every write.
+const MAX_LOG_ROWS = 5000;
+const LOG_ROTATION_BLOCK = 500;
+
+// The run every entry of this execution belongs to, created on first use
+let currentLogRun = null;
+
+// Level and sheet settings, read once per execution
+let logSettings = null;
+
+// Logs sheet rows held back while bulk work runs, written together by
+// flushLogRows. Nested calls of bufferLogRows are counted, so only the
+// outermost flush writes.
+let pendingLogRows = [];
+let logBufferDepth = 0;
+
 /**
- * Logs debug messages if debug mode is enabled
+ * Logs debug messages, for following what the script does step by step
+ * @param {Object=} details Extra fields stored with the entry
  */
-function logDebug(message) {
-  if (CONFIG.DEBUG_MODE) {
-    console.log(`[DEBUG] ${message}`);
-  }
+function logDebug(message, details) {
+  writeLogEntry('DEBUG', message, details);
+}
+
+/**
+ * Logs informational messages, e.g. a label change or a sync that completed
+ * @param {Object=} details Extra fields stored with the entry
+ */
+function logInfo(message, details) {
+  writeLogEntry('INFO', message, details);
+}
+
+/**
+ * Logs warnings, e.g. a change that was refused
+ * @param {Object=} details Extra fields stored with the entry
+ */
+function logWarn(message, details) {
+  writeLogEntry('WARN', message, details);
 }
 
 /**
  * Logs error messages
+ * @param {Object=} details Extra fields stored with the entry
+ */
+function logError(message, details) {
+  writeLogEntry('ERROR', message, details);
+}
+
+/**
+ * Names the run of this execution. Every entry logged during the execution
+ * shares one run ID; the first operation named is kept, so an entry point
+ * called by another (e.g. a sync started by the scheduled sync) keeps the run.
+ * @param {string} operation What the run does, e.g. "edit" or "sync"
+ * @return {string} The run ID
+ */
+function startLogRun(operation) {
+  if (!currentLogRun) {
+    currentLogRun = { id: Utilities.getUuid().slice(0, 8), operation: operation, user: null };
+  } else if (!currentLogRun.operation) {
+    currentLogRun.operation = operation;
+  }
+  return currentLogRun.id;
+}
+
+/**
+ * Writes an entry to the console and, if enabled, the Logs sheet. Logging
+ * never throws, as it is called from error handlers.
+ */
+function writeLogEntry(level, message, details) {
+  try {
+    const settings = getLogSettings();
+    if (LOG_LEVELS[level] < LOG_LEVELS[settings.level]) {
+      return;
+    }
+
+    startLogRun('');
+    const entry = {
+      level: level,
+      runId: currentLogRun.id,
+      operation: currentLogRun.operation,
+      message: String(message)
+    };
+    if (details) {
+      entry.details = details;
+    }
+
+    // Objects are kept as structured entries in Cloud Logging
+    if (level === 'ERROR') {
+      console.error(entry);
+    } else if (level === 'WARN') {
+      console.warn(entry);
+    } else {
+      console.log(entry);
+    }
+
+    if (settings.sheetEnabled) {
+      appendLogRow(entry);
+    }
+  } catch (error) {
+    console.error(`[${level}] ${message} (logging failed: ${error.message})`);
+  }
+}
+
+/**
+ * Gets the log level and whether entries go to the Logs sheet. They apply to
+ * the whole spreadsheet, so everyone's runs are logged the same way.
+ * @return {Object} The level name and the sheetEnabled flag
+ */
+function getLogSettings() {
+  if (!logSettings) {
+    const properties = PropertiesService.getDocumentProperties();
+    const level = properties.getProperty('logLevel');
+    logSettings = {
+      level: LOG_LEVELS[level] === undefined ? DEFAULT_LOG_LEVEL : level,
+      sheetEnabled: properties.getProperty('sheetLoggingEnabled') === 'true'
+    };
+  }
+  return logSettings;
+}
+
+/**
+ * Adds an entry to the Logs sheet, straight away or, while rows are being
+ * buffered, with the rest of the buffer
+ * @param {Object} entry The entry from writeLogEntry
+ */
+function appendLogRow(entry) {
+  if (currentLogRun.user === null) {
+    // Not available in simple triggers, which can still log
+    currentLogRun.user = Session.getActiveUser().getEmail() || '';
+  }
+
+  pendingLogRows.push([
+    new Date(),
+    entry.level,
+    entry.runId,
+    entry.operation,
+    currentLogRun.user,
+    entry.message,
+    entry.details ? JSON.stringify(entry.details) : ''
+  ]);
+
+  // Long runs still write in blocks, so a timeout loses at most one block
+  if (logBufferDepth === 0 || pendingLogRows.length >= LOG_ROTATION_BLOCK) {
+    writePendingLogRows();
+  }
+}
+
+/**
+ * Holds back Logs sheet rows until the matching flushLogRows, for bulk work
+ * such as a sync or a job run that logs an entry per label or thread. Call
+ * flushLogRows in a finally block so no entries are lost.
+ */
+function bufferLogRows() {
+  logBufferDepth++;
+}
+
+/**
+ * Ends a bufferLogRows block, writing the held back rows once the outermost
+ * block ends
+ */
+function flushLogRows() {
+  logBufferDepth = Math.max(logBufferDepth - 1, 0);
+  if (logBufferDepth === 0) {
+    try {
+      writePendingLogRows();
+    } catch (error) {
+      console.error(`Writing to the Logs sheet failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Writes the pending rows to the Logs sheet in one go, removing the oldest
+ * rows once it grows past MAX_LOG_ROWS
+ */
+function writePendingLogRows() {
+  if (pendingLogRows.length === 0) {
+    return;
+  }
+
+  const rows = pendingLogRows;
+  pendingLogRows = [];
+
+  const sheet = getLogsSheet();
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, LOGS_HEADERS.length).setValues(rows);
+
+  const entryCount = sheet.getLastRow() - 1;
+  if (entryCount > MAX_LOG_ROWS + LOG_ROTATION_BLOCK) {
+    sheet.deleteRows(2, entryCount - MAX_LOG_ROWS);
+  }
+}
+
+/**
+ * Gets the Logs sheet, creating it with level highlighting if needed
+ * @return {Sheet} The Logs sheet
  */
-function logError(message) {
-  console.error(`[ERROR] ${message}`);
+function getLogsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(LOGS_SHEET_NAME);
+  if (sheet) {
+    return sheet;
+  }
+
+  sheet = ss.insertSheet(LOGS_SHEET_NAME);
+  sheet.getRange(1, 1, 1, LOGS_HEADERS.length).setValues([LOGS_HEADERS]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+
+  // Open-ended, so rows added later are highlighted too
+  const levelColumn = sheet.getRange('B2:B');
+  sheet.setConditionalFormatRules([
+    SpreadsheetApp.newConditionalFormatRule()
+      .whenTextEqualTo('ERROR').setBackground('#f4c7c3').setRanges([levelColumn]).build(),
+    SpreadsheetApp.newConditionalFormatRule()
+      .whenTextEqualTo('WARN').setBackground('#fce8b2').setRanges([levelColumn]).build()
+  ]);
+
+  return sheet;
+}
+
+/**
+ * Sets the lowest level that is logged
+ * @param {string} level One of the LOG_LEVELS names
+ */
+function setLogLevel(level) {
+  PropertiesService.getDocumentProperties().setProperty('logLevel', level);
+  logSettings = null;
+  SpreadsheetApp.getActive().toast(`Log level set to ${level}`);
+  onOpenWithFullPermissions(); // Refresh menu
+}
+
+/**
+ * Menu handlers for each log level
+ */
+function setLogLevelDebug() {
+  setLogLevel('DEBUG');
+}
+
+function setLogLevelInfo() {
+  setLogLevel('INFO');
+}
+
+function setLogLevelWarn() {
+  setLogLevel('WARN');
+}
+
+function setLogLevelError() {
+  setLogLevel('ERROR');
+}
+
+/**
+ * Toggles writing log entries to the Logs sheet on/off
+ */
+function toggleSheetLogging() {
+  const enabled = !getLogSettings().sheetEnabled;
+  PropertiesService.getDocumentProperties().setProperty('sheetLoggingEnabled', enabled.toString());
+  logSettings = null;
+  SpreadsheetApp.getActive().toast(`Log to Sheet ${enabled ? 'ENABLED' : 'DISABLED'}`);
+  onOpenWithFullPermissions(); // Refresh menu
+}
+
+/**
+ * Shows the Logs sheet with a filter over every entry, so it can be narrowed
+ * down to a level or a single run
+ */
+function showLogsSheet() {
+  const sheet = getLogsSheet();
+
+  // Entries appended since the filter was made fall outside it, so make it afresh
+  if (sheet.getFilter()) {
+    sheet.getFilter().remove();
+  }
+  sheet.getRange(1, 1, Math.max(sheet.getLastRow(), 2), LOGS_HEADERS.length).createFilter();
+  sheet.activate();
+
+  if (!getLogSettings().sheetEnabled) {
+    SpreadsheetApp.getActive().toast('Log to Sheet is off, so no new entries are being added.', 'Logs', 5);
+  }
+}
+
+/**
+ * Removes every entry from the Logs sheet
+ */
+function clearLogs() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(LOGS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return;
+  }
+
+  const response = ui.alert('Clear Logs', 'This will remove every entry from the Logs sheet. Do you want to continue?', ui.ButtonSet.YES_NO);
+  if (response !== ui.Button.YES) {
+    return;
+  }
+
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, LOGS_HEADERS.length).clearContent();
+  SpreadsheetApp.getActive().toast('Logs cleared.', 'Logs', 3);
 }
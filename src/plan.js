@@ -0,0 +1,153 @@
+/**
+ * plan.js - Gmail Label Manager
+ *
+ * Contains the sync preview, which writes everything a sync would do to a
+ * reviewable "Sync Plan" sheet, and the action that applies that plan.
+ */
+
+const PLAN_SHEET_NAME = 'Sync Plan';
+const PLAN_HEADERS = ['Action', 'Row', 'Label Name', 'New Name', 'Label ID', 'Details'];
+const PLAN_FINGERPRINT_PROPERTY = 'syncPlanFingerprint';
+
+// Document property holding the previewed plan. Apply uses this copy rather
+// than the sheet, so edits to the plan sheet can't change what is applied.
+const PLAN_PROPERTY = 'syncPlan';
+
+/**
+ * Computes the sync plan without changing anything and writes it to the plan sheet
+ */
+function previewSync() {
+  startLogRun('preview sync');
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAME);
+
+  try {
+    const plan = buildSyncPlan(sheet);
+    writeSyncPlan(ss, plan);
+
+    // Remember the plan, and what Gmail and the sheet looked like so it can't
+    // be applied to a different state
+    const properties = PropertiesService.getDocumentProperties();
+    saveChunkedProperty(properties, PLAN_PROPERTY, JSON.stringify(plan));
+    properties.setProperty(PLAN_FINGERPRINT_PROPERTY, computeSyncFingerprint(sheet));
+
+    ss.toast(
+      plan.length > 0
+        ? `${plan.length} planned change(s) written to the "${PLAN_SHEET_NAME}" sheet. Review them, then choose Apply Plan.`
+        : 'Gmail and the spreadsheet are already in sync.',
+      'Sync Preview',
+      8
+    );
+  } catch (error) {
+    logError(`Error previewing sync: ${error.message}`);
+    ss.toast(`Error previewing sync: ${error.message}`, 'Error', 10);
+  }
+}
+
+/**
+ * Applies the plan written by previewSync, provided nothing has changed since
+ */
+function applySyncPlan() {
+  startLogRun('apply plan');
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAME);
+  const properties = PropertiesService.getDocumentProperties();
+
+  const fingerprint = properties.getProperty(PLAN_FINGERPRINT_PROPERTY);
+  const plan = loadSyncPlan(properties);
+  if (!fingerprint || !plan) {
+    ui.alert('No Sync Plan', 'There is no plan to apply. Choose Preview Sync first.', ui.ButtonSet.OK);
+    return;
+  }
+
+  if (computeSyncFingerprint(sheet) !== fingerprint) {
+    logWarn('Sync plan is stale, refusing to apply it');
+    ui.alert(
+      'Sync Plan Out of Date',
+      'Gmail labels or the spreadsheet have changed since the plan was previewed, so it was not applied.\n\n' +
+      'Choose Preview Sync again to build a fresh plan.',
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+
+  bufferLogRows();
+  try {
+    const results = executeSyncPlan(sheet, plan);
+    logSyncAuditEntry(results);
+    writeSyncStatus(sheet, describeSyncResults(results));
+
+    // A plan can only be applied once
+    properties.deleteProperty(PLAN_FINGERPRINT_PROPERTY);
+    saveChunkedProperty(properties, PLAN_PROPERTY, '');
+
+    showSyncResults(results);
+  } catch (error) {
+    logError(`Error applying sync plan: ${error.message}`);
+    ss.toast(`Error applying sync plan: ${error.message}`, 'Error', 10);
+  } finally {
+    flushLogRows();
+  }
+}
+
+/**
+ * Writes a sync plan to the plan sheet, creating the sheet if needed
+ * @param {Object[]} plan The actions from buildSyncPlan
+ */
+function writeSyncPlan(ss, plan) {
+  const planSheet = ss.getSheetByName(PLAN_SHEET_NAME) || ss.insertSheet(PLAN_SHEET_NAME);
+  planSheet.clear();
+
+  const rows = [PLAN_HEADERS].concat(plan.map(entry => [
+    entry.action,
+    entry.row,
+    entry.labelName,
+    entry.newName,
+    entry.labelId,
+    entry.details
+  ]));
+
+  planSheet.getRange(1, 1, rows.length, PLAN_HEADERS.length).setValues(rows);
+  planSheet.getRange(1, 1, 1, PLAN_HEADERS.length).setFontWeight('bold');
+  planSheet.setFrozenRows(1);
+
+  logDebug(`Wrote ${plan.length} planned action(s) to "${PLAN_SHEET_NAME}"`);
+}
+
+/**
+ * Loads the plan saved by previewSync
+ * @param {Properties} properties The document properties
+ * @return {Object[]|null} The planned actions, or null if no plan is waiting
+ */
+function loadSyncPlan(properties) {
+  const serialized = loadChunkedProperty(properties, PLAN_PROPERTY);
+  return serialized ? JSON.parse(serialized) : null;
+}
+
+/**
+ * Computes a fingerprint of the Gmail labels and the labels sheet, used to tell
+ * whether either changed after a plan was previewed
+ * @return {string} A base64 SHA-256 digest
+ */
+function computeSyncFingerprint(sheet) {
+  const labelResources = getLabelResourceMap();
+  const gmailState = Object.keys(labelResources).sort().map(name => {
+    const label = labelResources[name];
+    return [
+      label.id,
+      label.name,
+      label.color ? `${label.color.backgroundColor}/${label.color.textColor}` : '',
+      label.labelListVisibility || '',
+      label.messageListVisibility || ''
+    ].join('\t');
+  });
+
+  const sheetState = sheet.getDataRange().getValues();
+
+  const digest = Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    JSON.stringify({ gmail: gmailState, sheet: sheetState })
+  );
+  return Utilities.base64Encode(digest);
+}
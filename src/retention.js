@@ -0,0 +1,396 @@
+/**
+ * retention.js - Gmail Label Manager
+ *
+ * Contains per-label retention policies, entered in the Labels sheet as e.g.
+ * "archive after 30d", which archive, trash or unlabel threads once they are
+ * old enough. Policies can be previewed with a dry run before they are applied.
+ */
+
+const RETENTION_REPORT_SHEET_NAME = 'Retention Report';
+const RETENTION_REPORT_HEADERS = ['Run At', 'Run ID', 'Mode', 'Label', 'Policy', 'Threads', 'Status'];
+
+// What a policy does to threads older than its age
+const RETENTION_ACTIONS = {
+  ARCHIVE: 'archive',
+  TRASH: 'trash',
+  REMOVE_LABEL: 'remove label'
+};
+
+// Ages are in the units Gmail's older_than: search understands
+const RETENTION_POLICY_PATTERN = /^(archive|trash|remove label) after (\d+)\s*([dmy])$/i;
+
+// A dry run stops counting a policy's threads after this many
+const MAX_DRY_RUN_THREADS = 5000;
+
+// Threads listed per job step
+const RETENTION_BATCH_SIZE = 100;
+
+/**
+ * Reads a retention policy from the text in the sheet
+ * @param {string} value The cell value, e.g. "trash after 90d"
+ * @return {Object|null} The action and age, or null if the value isn't a policy
+ */
+function parseRetentionPolicy(value) {
+  const match = String(value).trim().replace(/\s+/g, ' ').match(RETENTION_POLICY_PATTERN);
+  if (!match || parseInt(match[2], 10) < 1) {
+    return null;
+  }
+
+  return {
+    action: match[1].toLowerCase(),
+    age: `${parseInt(match[2], 10)}${match[3].toLowerCase()}`
+  };
+}
+
+/**
+ * Works out the date before which a policy's threads count as old
+ * @return {Date} The cutoff date
+ */
+function getRetentionCutoff(policy) {
+  const amount = parseInt(policy.age, 10);
+  const cutoff = new Date();
+  switch (policy.age.slice(-1)) {
+    case 'y':
+      cutoff.setFullYear(cutoff.getFullYear() - amount);
+      break;
+    case 'm':
+      cutoff.setMonth(cutoff.getMonth() - amount);
+      break;
+    default:
+      cutoff.setDate(cutoff.getDate() - amount);
+  }
+  return cutoff;
+}
+
+/**
+ * Builds the search for the threads a policy applies to. The label is matched
+ * by ID, as a label name in a search can match other labels too. Each search
+ * leaves out threads the action has already been applied to.
+ * @return {Object} The labelIds and q of Gmail.Users.Threads.list
+ */
+function getRetentionSearch(labelId, policy) {
+  // Trashed threads are left out of the list already, as is an unlabelled thread
+  const labelIds = policy.action === RETENTION_ACTIONS.ARCHIVE ? [labelId, 'INBOX'] : [labelId];
+  return { labelIds: labelIds, q: `older_than:${policy.age}` };
+}
+
+/**
+ * Gets when the newest message of a thread arrived
+ * @return {number} The time in milliseconds
+ */
+function getThreadLastMessageTime(threadId) {
+  const thread = Gmail.Users.Threads.get('me', threadId, { format: 'minimal', fields: 'messages/internalDate' });
+  return Math.max(...thread.messages.map(message => Number(message.internalDate)));
+}
+
+/**
+ * Reads the labels with a retention policy from the Labels sheet
+ * @return {Object[]} The label name, policy text and parsed policy (null if
+ *     invalid) of every row with a retention value
+ */
+function getRetentionPolicies(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= CONFIG.HEADER_ROW) {
+    return [];
+  }
+
+  const rowCount = lastRow - CONFIG.HEADER_ROW;
+  const names = sheet.getRange(CONFIG.HEADER_ROW + 1, CONFIG.NAME_COLUMN, rowCount, 1).getValues();
+  const policies = sheet.getRange(CONFIG.HEADER_ROW + 1, CONFIG.RETENTION_COLUMN, rowCount, 1).getValues();
+
+  const entries = [];
+  for (let i = 0; i < rowCount; i++) {
+    const labelName = String(names[i][0]);
+    const text = String(policies[i][0]).trim();
+    if (labelName && text) {
+      entries.push({ labelName: labelName, text: text, policy: parseRetentionPolicy(text) });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Counts the threads each policy would affect, without changing anything.
+ * Counting looks at every thread, so each policy is counted by a background
+ * job that adds its row to the Retention Report sheet as soon as it finishes.
+ */
+function previewRetention() {
+  const runId = startLogRun('retention dry run');
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  try {
+    const entries = getRetentionPolicies(ss.getSheetByName(CONFIG.SHEET_NAME));
+    if (entries.length === 0) {
+      ss.toast('No labels have a retention policy.', 'Retention', 5);
+      return;
+    }
+
+    const skippedRows = [];
+    for (const entry of entries) {
+      const labelId = entry.policy ? getLabelId(entry.labelName) : null;
+      if (!labelId) {
+        skippedRows.push([new Date(), runId, 'Dry run', entry.labelName, entry.text, '',
+          entry.policy ? 'Label not in Gmail' : 'Invalid policy']);
+        continue;
+      }
+
+      enqueueJob(JOB_TYPES.PREVIEW_RETENTION, `Preview "${entry.text}" of "${entry.labelName}"`, {
+        runId: runId,
+        dryRun: true,
+        labelName: entry.labelName,
+        labelId: labelId,
+        text: entry.text,
+        search: getRetentionSearch(labelId, entry.policy),
+        cutoff: getRetentionCutoff(entry.policy).getTime(),
+        looked: 0
+      });
+    }
+
+    const reportSheet = getRetentionReportSheet();
+    if (skippedRows.length > 0) {
+      reportSheet.getRange(reportSheet.getLastRow() + 1, 1, skippedRows.length, RETENTION_REPORT_HEADERS.length)
+        .setValues(skippedRows);
+    }
+
+    processJobs();
+    reportSheet.activate();
+
+    logInfo(`Retention dry run covered ${entries.length} polic(ies)`);
+    ss.toast(
+      `Dry run of ${entries.length} retention polic(ies) started. Counts are added to the "${RETENTION_REPORT_SHEET_NAME}" sheet ` +
+      'as each one finishes; large ones carry on in the background.',
+      'Retention',
+      8
+    );
+  } catch (error) {
+    logError(`Error previewing retention: ${error.message}`);
+    ss.toast(`Error previewing retention: ${error.message}`, 'Error', 10);
+  }
+}
+
+/**
+ * Counts the threads of the next page a policy would affect, stopping after
+ * MAX_DRY_RUN_THREADS threads have been looked at
+ * @return {boolean} Whether the count is finished
+ */
+function previewRetentionStep(job) {
+  const params = job.params;
+  const threadIds = listJobThreadPage(params, params.search, RETENTION_BATCH_SIZE);
+
+  params.looked += threadIds.length;
+  job.progress += threadIds.filter(threadId => getThreadLastMessageTime(threadId) < params.cutoff).length;
+
+  // Nothing changes, so a single pass over the pages finds every thread
+  if (params.looked >= MAX_DRY_RUN_THREADS || finishJobThreadPage(params, false)) {
+    finishRetentionRun(params, params.nextPageToken ? `${job.progress}+` : job.progress, 'Would be applied');
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Applies every retention policy from the menu, after confirming
+ */
+function applyRetention() {
+  const ui = SpreadsheetApp.getUi();
+
+  const response = ui.alert(
+    'Apply Retention',
+    'This will archive, trash or remove the label from every thread older than its label\'s retention policy. ' +
+    'Use Preview Retention first to see how many threads each policy affects.\n\n' +
+    'Do you want to continue?',
+    ui.ButtonSet.YES_NO
+  );
+  if (response !== ui.Button.YES) {
+    return;
+  }
+
+  startLogRun('retention');
+  const queued = queueRetentionJobs();
+  processJobs();
+  SpreadsheetApp.getActive().toast(
+    `${queued} retention polic(ies) applied. Thread counts are added to the "${RETENTION_REPORT_SHEET_NAME}" sheet ` +
+    'as each one finishes; large ones carry on in the background.',
+    'Retention',
+    8
+  );
+}
+
+/**
+ * Handler for the time-driven trigger that applies the retention policies every day
+ */
+function runScheduledRetention() {
+  startLogRun('scheduled retention');
+  try {
+    queueRetentionJobs();
+    processJobs();
+  } catch (error) {
+    logError(`Scheduled retention failed: ${error.message}`);
+  }
+}
+
+/**
+ * Queues a job for every valid retention policy. Invalid policies and labels
+ * missing from Gmail are logged and skipped, and policies whose job from an
+ * earlier run is still queued or running are left to it.
+ * @return {number} The number of policies queued, or still in the queue
+ */
+function queueRetentionJobs() {
+  const runId = startLogRun('retention');
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  const activePolicies = getActiveJobs(JOB_TYPES.APPLY_RETENTION).map(job => job.params);
+  let queued = 0;
+
+  for (const entry of getRetentionPolicies(sheet)) {
+    const labelId = getLabelId(entry.labelName);
+    if (!entry.policy || !labelId) {
+      logWarn(`Skipping retention policy "${entry.text}" of "${entry.labelName}"`,
+        { reason: entry.policy ? 'Label not in Gmail' : 'Invalid policy' });
+      continue;
+    }
+
+    if (activePolicies.some(params => params.labelId === labelId && params.text === entry.text)) {
+      logDebug(`Retention policy "${entry.text}" of "${entry.labelName}" is still queued or running, not queuing it again`);
+      queued++;
+      continue;
+    }
+
+    enqueueJob(JOB_TYPES.APPLY_RETENTION, `Apply "${entry.text}" to "${entry.labelName}"`, {
+      runId: runId,
+      labelName: entry.labelName,
+      labelId: labelId,
+      text: entry.text,
+      action: entry.policy.action,
+      search: getRetentionSearch(labelId, entry.policy),
+      cutoff: getRetentionCutoff(entry.policy).getTime()
+    });
+    queued++;
+  }
+
+  return queued;
+}
+
+/**
+ * Applies a retention policy to the next page of threads
+ * @return {boolean} Whether every matching thread has been handled
+ */
+function applyRetentionStep(job) {
+  const params = job.params;
+  if (!indexLabelsById(getLabelResourceMap())[params.labelId]) {
+    throw new Error(`The label "${params.labelName}" no longer exists`);
+  }
+
+  // older_than: matches a thread with any old message, so threads with a
+  // recent reply are left alone
+  const threadIds = listJobThreadPage(params, params.search, RETENTION_BATCH_SIZE)
+    .filter(threadId => getThreadLastMessageTime(threadId) < params.cutoff);
+
+  for (const threadId of threadIds) {
+    if (params.action === RETENTION_ACTIONS.ARCHIVE) {
+      Gmail.Users.Threads.modify({ removeLabelIds: ['INBOX'] }, 'me', threadId);
+    } else if (params.action === RETENTION_ACTIONS.TRASH) {
+      Gmail.Users.Threads.trash('me', threadId);
+    } else {
+      Gmail.Users.Threads.modify({ removeLabelIds: [params.labelId] }, 'me', threadId);
+    }
+  }
+  job.progress += threadIds.length;
+
+  if (finishJobThreadPage(params, threadIds.length > 0)) {
+    finishRetentionRun(params, job.progress, 'Done');
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Adds the outcome of applying or previewing a policy to the Retention Report sheet
+ * @param {Object} params The parameters of the policy's job
+ * @param {number|string} threadCount The number of threads affected
+ * @param {string} status The outcome to show
+ */
+function finishRetentionRun(params, threadCount, status) {
+  logInfo(`Retention policy "${params.text}" of "${params.labelName}" affected ${threadCount} thread(s): ${status}`);
+  getRetentionReportSheet().appendRow([new Date(), params.runId, params.dryRun ? 'Dry run' : 'Applied',
+    params.labelName, params.text, threadCount, status]);
+}
+
+/**
+ * Gets the Retention Report sheet, creating it if needed
+ * @return {Sheet} The Retention Report sheet
+ */
+function getRetentionReportSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(RETENTION_REPORT_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(RETENTION_REPORT_SHEET_NAME);
+    sheet.getRange(1, 1, 1, RETENTION_REPORT_HEADERS.length).setValues([RETENTION_REPORT_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+
+  return sheet;
+}
+
+/**
+ * Shows the Retention Report sheet, creating it if needed
+ */
+function showRetentionReport() {
+  getRetentionReportSheet().activate();
+}
+
+/**
+ * Gets whether the retention policies are applied every day
+ * @return {boolean} Whether the daily run is enabled
+ */
+function getScheduledRetentionEnabled() {
+  return ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === 'runScheduledRetention');
+}
+
+/**
+ * Toggles the daily run of the retention policies on/off
+ */
+function toggleScheduledRetention() {
+  const enabled = !getScheduledRetentionEnabled();
+
+  if (enabled) {
+    ScriptApp.newTrigger('runScheduledRetention').timeBased().everyDays(1).create();
+  } else {
+    for (const trigger of ScriptApp.getProjectTriggers()) {
+      if (trigger.getHandlerFunction() === 'runScheduledRetention') {
+        ScriptApp.deleteTrigger(trigger);
+      }
+    }
+  }
+
+  SpreadsheetApp.getActive().toast(`Apply Retention Daily ${enabled ? 'ENABLED' : 'DISABLED'}`);
+  onOpenWithFullPermissions(); // Refresh menu
+}
+
+/**
+ * Sets up the retention column header and data validation matching
+ * parseRetentionPolicy
+ */
+function setupRetentionColumn() {
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+    if (!sheet) {
+      // Sheet doesn't exist yet, don't proceed
+      return;
+    }
+
+    sheet.getRange(CONFIG.HEADER_ROW, CONFIG.RETENTION_COLUMN).setValue('Retention');
+
+    const cell = `${columnToLetter(CONFIG.RETENTION_COLUMN)}${CONFIG.HEADER_ROW + 1}`;
+    const rule = SpreadsheetApp.newDataValidation()
+      .requireFormulaSatisfied(`=OR(ISBLANK(${cell}), REGEXMATCH(LOWER(TRIM(${cell})), "^(archive|trash|remove label) after [1-9][0-9]* ?[dmy]$"))`)
+      .setAllowInvalid(false)
+      .setHelpText('Enter e.g. "archive after 30d", "trash after 6m" or "remove label after 1y" (d = days, m = months, y = years)')
+      .build();
+
+    const rowCount = sheet.getMaxRows() - CONFIG.HEADER_ROW;
+    sheet.getRange(CONFIG.HEADER_ROW + 1, CONFIG.RETENTION_COLUMN, rowCount, 1).setDataValidation(rule);
+  } catch (error) {
+    logError(`Error in setupRetentionColumn: ${error.message}`);
+  }
+}
@@ -0,0 +1,265 @@
+/**
+ * rules.js - Gmail Label Manager
+ *
+ * Contains the Rules sheet, where each row labels every thread matching a Gmail
+ * search query. Unlike filters, rules also reach mail that has already arrived.
+ */
+
+const RULES_SHEET_NAME = 'Rules';
+const RULES_HEADERS = ['Enabled', 'Query', 'Label', 'Archive', 'Mark Read', 'Last Run', 'Threads Touched', 'Status'];
+
+// Columns of the Rules sheet, 1-indexed
+const RULE_COLUMNS = {
+  ENABLED: 1,
+  QUERY: 2,
+  LABEL: 3,
+  ARCHIVE: 4,
+  MARK_READ: 5,
+  LAST_RUN: 6,
+  THREADS: 7,
+  STATUS: 8
+};
+
+// Messages changed per job step; Gmail accepts up to 1000 IDs per batchModify
+const RULE_BATCH_SIZE = 500;
+
+/**
+ * Shows the Rules sheet, creating it if needed
+ */
+function showRulesSheet() {
+  getRulesSheet().activate();
+}
+
+/**
+ * Gets the Rules sheet, creating and formatting it if needed
+ * @return {Sheet} The Rules sheet
+ */
+function getRulesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(RULES_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(RULES_SHEET_NAME);
+    sheet.getRange(1, 1, 1, RULES_HEADERS.length).setValues([RULES_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+
+    const rowCount = sheet.getMaxRows() - 1;
+    [RULE_COLUMNS.ENABLED, RULE_COLUMNS.ARCHIVE, RULE_COLUMNS.MARK_READ].forEach(column =>
+      sheet.getRange(2, column, rowCount, 1).insertCheckboxes());
+    logDebug(`Created "${RULES_SHEET_NAME}" sheet`);
+  }
+
+  return sheet;
+}
+
+/**
+ * Runs every enabled rule from the menu
+ */
+function runRules() {
+  startLogRun('rules');
+  const queued = queueRules();
+  if (queued === 0) {
+    SpreadsheetApp.getActive().toast(`No enabled rules with a query and a label in the "${RULES_SHEET_NAME}" sheet.`, 'Rules', 5);
+    return;
+  }
+
+  processJobs();
+  SpreadsheetApp.getActive().toast(
+    `${queued} rule(s) run. Threads touched are shown on the "${RULES_SHEET_NAME}" sheet; ` +
+    'rules that are still going carry on in the background.',
+    'Rules',
+    8
+  );
+}
+
+/**
+ * Handler for the time-driven trigger that runs the rules every day
+ */
+function runScheduledRules() {
+  startLogRun('scheduled rules');
+  try {
+    queueRules();
+    processJobs();
+  } catch (error) {
+    logError(`Scheduled rules failed: ${error.message}`);
+  }
+}
+
+/**
+ * Queues a job for every enabled rule, creating labels that don't exist yet.
+ * Rules whose job from an earlier run is still queued or running are left to it.
+ * @return {number} The number of rules queued, or still in the queue
+ */
+function queueRules() {
+  const rulesSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(RULES_SHEET_NAME);
+  if (!rulesSheet || rulesSheet.getLastRow() < 2) {
+    return 0;
+  }
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  const values = rulesSheet.getRange(2, 1, rulesSheet.getLastRow() - 1, RULES_HEADERS.length).getValues();
+  const activeRules = getActiveJobs(JOB_TYPES.APPLY_RULE).map(job => job.params);
+  let queued = 0;
+
+  values.forEach((rowValues, index) => {
+    const row = index + 2;
+    const query = String(rowValues[RULE_COLUMNS.QUERY - 1]).trim();
+    const labelName = normalizeLabelName(rowValues[RULE_COLUMNS.LABEL - 1]);
+    if (rowValues[RULE_COLUMNS.ENABLED - 1] !== true || !query || !labelName) {
+      return;
+    }
+
+    if (activeRules.some(params => params.query === query && params.labelName === labelName)) {
+      logDebug(`Rule in row ${row} is still queued or running, not queuing it again`);
+      queued++;
+      return;
+    }
+
+    try {
+      if (!getLabelId(labelName)) {
+        createRuleLabel(sheet, labelName);
+      }
+      enqueueJob(JOB_TYPES.APPLY_RULE, `Label threads matching "${query}" with "${labelName}"`, {
+        row: row,
+        query: query,
+        labelName: labelName,
+        labelId: getLabelId(labelName),
+        archive: rowValues[RULE_COLUMNS.ARCHIVE - 1] === true,
+        markRead: rowValues[RULE_COLUMNS.MARK_READ - 1] === true
+      });
+      rulesSheet.getRange(row, RULE_COLUMNS.STATUS).setValue(JOB_STATUSES.QUEUED);
+      queued++;
+    } catch (error) {
+      logError(`Error queuing rule in row ${row}: ${error.message}`);
+      rulesSheet.getRange(row, RULE_COLUMNS.STATUS).setValue(`Error: ${error.message}`);
+    }
+  });
+
+  applyPendingTreeLayout(sheet);
+  return queued;
+}
+
+/**
+ * Creates the label of a rule through createLabel, like a name typed into the
+ * Labels sheet
+ */
+function createRuleLabel(sheet, labelName) {
+  const problem = validateLabelName(labelName, getLabelMap(), '');
+  if (problem) {
+    throw new Error(`"${labelName}" can't be used as a label name because ${problem}`);
+  }
+
+  const row = sheet.getLastRow() + 1;
+  sheet.getRange(row, CONFIG.NAME_COLUMN).setValue(labelName);
+  createLabel(sheet, row, labelName);
+
+  if (!getLabelId(labelName)) {
+    throw new Error(`The label "${labelName}" could not be created`);
+  }
+}
+
+/**
+ * Labels the next page of messages matching a rule, archiving them or marking
+ * them read if the rule says so. The label is added by ID, as a label name in
+ * a search can match other labels too. Adding a label a message already has
+ * changes nothing, so matches aren't checked first.
+ * @return {boolean} Whether every matching message has been labelled
+ */
+function applyRuleStep(job) {
+  const params = job.params;
+  if (!indexLabelsById(getLabelResourceMap())[params.labelId]) {
+    throw new Error(`The label "${params.labelName}" no longer exists`);
+  }
+
+  const removeLabelIds = [];
+  if (params.archive) {
+    removeLabelIds.push('INBOX');
+  }
+  if (params.markRead) {
+    removeLabelIds.push('UNREAD');
+  }
+
+  const options = { q: params.query, maxResults: RULE_BATCH_SIZE };
+  if (params.pageToken) {
+    options.pageToken = params.pageToken;
+  }
+  const response = Gmail.Users.Messages.list('me', options);
+  const messages = response.messages || [];
+
+  if (messages.length > 0) {
+    Gmail.Users.Messages.batchModify({
+      ids: messages.map(message => message.id),
+      addLabelIds: [params.labelId],
+      removeLabelIds: removeLabelIds
+    }, 'me');
+    job.progress += new Set(messages.map(message => message.threadId)).size;
+  }
+
+  // One pass over the pages; messages that shift out of it as others are
+  // archived or marked read are picked up by the next run
+  if (response.nextPageToken) {
+    params.pageToken = response.nextPageToken;
+    return false;
+  }
+
+  finishRuleRun(params, job.progress, 'Done');
+  return true;
+}
+
+/**
+ * Records the outcome of a rule run in its row of the Rules sheet. The row is
+ * looked up again in case rules were added or removed while the job ran.
+ * @param {Object} params The parameters of the rule's job
+ * @param {number} threadCount The number of threads touched
+ * @param {string} status The outcome to show
+ */
+function finishRuleRun(params, threadCount, status) {
+  logInfo(`Rule "${params.query}" touched ${threadCount} thread(s): ${status}`, { label: params.labelName });
+
+  const rulesSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(RULES_SHEET_NAME);
+  if (!rulesSheet || rulesSheet.getLastRow() < 2) {
+    return;
+  }
+
+  const values = rulesSheet.getRange(2, RULE_COLUMNS.QUERY, rulesSheet.getLastRow() - 1, 2).getValues();
+  const matches = index => String(values[index][0]).trim() === params.query &&
+    normalizeLabelName(values[index][1]) === params.labelName;
+
+  let index = params.row - 2;
+  if (!(index < values.length && matches(index))) {
+    index = values.findIndex((rowValues, i) => matches(i));
+  }
+  if (index === -1) {
+    return;
+  }
+
+  rulesSheet.getRange(index + 2, RULE_COLUMNS.LAST_RUN, 1, 3).setValues([[new Date(), threadCount, status]]);
+}
+
+/**
+ * Gets whether the rules run every day
+ * @return {boolean} Whether the daily run is enabled
+ */
+function getScheduledRulesEnabled() {
+  return ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === 'runScheduledRules');
+}
+
+/**
+ * Toggles the daily run of the rules on/off
+ */
+function toggleScheduledRules() {
+  const enabled = !getScheduledRulesEnabled();
+
+  if (enabled) {
+    ScriptApp.newTrigger('runScheduledRules').timeBased().everyDays(1).create();
+  } else {
+    for (const trigger of ScriptApp.getProjectTriggers()) {
+      if (trigger.getHandlerFunction() === 'runScheduledRules') {
+        ScriptApp.deleteTrigger(trigger);
+      }
+    }
+  }
+
+  SpreadsheetApp.getActive().toast(`Run Rules Daily ${enabled ? 'ENABLED' : 'DISABLED'}`);
+  onOpenWithFullPermissions(); // Refresh menu
+}
@@ -0,0 +1,280 @@
+/**
+ * settings.js - Gmail Label Manager
+ *
+ * Contains the Settings sheet, where the sheet name, header row and column
+ * layout in CONFIG can be changed per spreadsheet without editing the code.
+ */
+
+const SETTINGS_SHEET_NAME = 'Settings';
+const SETTINGS_HEADERS = ['Setting', 'Value', 'Default', 'Description'];
+
+// Settings that can be changed, with their descriptions. Columns can be given
+// as a letter or a number.
+const EDITABLE_SETTINGS = {
+  SHEET_NAME: 'Name of the sheet holding the labels',
+  HEADER_ROW: 'Row containing the headers',
+  LABEL_ID_COLUMN: 'Hidden column for label IDs',
+  NAME_COLUMN: 'Column for label names',
+  BACKGROUND_COLOR_COLUMN: 'Column for the label background color',
+  TEXT_COLOR_COLUMN: 'Column for the label text color',
+  LABEL_LIST_VISIBILITY_COLUMN: 'Column for visibility in the label list',
+  MESSAGE_LIST_VISIBILITY_COLUMN: 'Column for visibility in the message list',
+  MESSAGES_TOTAL_COLUMN: 'First of the 5 usage statistics columns',
+  DEPTH_COLUMN: 'First of the 3 tree layout helper columns',
+  RETENTION_COLUMN: 'Column for the retention policy',
+  SYNC_STATUS_COLUMN: 'Column of the header cell showing the last sync',
+  LOCKED_COLUMN: 'Column for the checkbox locking a label',
+  ARCHIVE_LABEL: 'Parent label that archived labels are moved under'
+};
+
+// Column blocks that must stay together, keyed by the setting for their first column
+const SETTINGS_COLUMN_BLOCKS = {
+  MESSAGES_TOTAL_COLUMN: ['MESSAGES_TOTAL_COLUMN', 'MESSAGES_UNREAD_COLUMN', 'THREADS_TOTAL_COLUMN', 'THREADS_UNREAD_COLUMN', 'LAST_ACTIVITY_COLUMN'],
+  DEPTH_COLUMN: ['DEPTH_COLUMN', 'PARENT_COLUMN', 'LEAF_NAME_COLUMN']
+};
+
+/**
+ * Shows the Settings sheet, filled with the settings currently in use
+ */
+function openSettingsSheet() {
+  const sheet = getSettingsSheet();
+  writeSettingsSheet(sheet);
+  sheet.activate();
+  SpreadsheetApp.getActive().toast('Change the values, then choose Settings > Save Settings.', 'Settings', 5);
+}
+
+/**
+ * Gets the Settings sheet, creating and formatting it if needed
+ * @return {Sheet} The Settings sheet
+ */
+function getSettingsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(SETTINGS_SHEET_NAME);
+
+  if (!sheet) {
+    sheet = ss.insertSheet(SETTINGS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, SETTINGS_HEADERS.length).setValues([SETTINGS_HEADERS]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    logDebug(`Created "${SETTINGS_SHEET_NAME}" sheet`);
+  }
+
+  return sheet;
+}
+
+/**
+ * Writes the settings in use, and their defaults, to the Settings sheet
+ */
+function writeSettingsSheet(sheet) {
+  const keys = Object.keys(EDITABLE_SETTINGS);
+  const rows = keys.map(key => [
+    key,
+    formatSettingValue(key, CONFIG[key]),
+    formatSettingValue(key, CONFIG_DEFAULTS[key]),
+    EDITABLE_SETTINGS[key]
+  ]);
+
+  sheet.getRange(2, 1, rows.length, SETTINGS_HEADERS.length).setValues(rows);
+}
+
+/**
+ * Formats a setting for the Settings sheet, showing columns as letters
+ * @return {string|number|boolean} The value to show
+ */
+function formatSettingValue(key, value) {
+  return key.endsWith('_COLUMN') ? columnToLetter(value) : value;
+}
+
+/**
+ * Validates the Settings sheet and saves it as the configuration of this
+ * spreadsheet. Nothing is saved if any setting is invalid.
+ */
+function saveSettings() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(SETTINGS_SHEET_NAME);
+
+  if (!sheet) {
+    ui.alert('No Settings', 'Choose Settings > Open Settings first.', ui.ButtonSet.OK);
+    return;
+  }
+
+  try {
+    const settings = readSettingsSheet(sheet);
+    const errors = validateSettings(settings);
+    if (errors.length > 0) {
+      ui.alert('Invalid Settings', `The settings were not saved:\n\n${errors.join('\n')}`, ui.ButtonSet.OK);
+      return;
+    }
+
+    // Only keep what differs from the defaults, so later default changes still apply
+    const overrides = {};
+    for (const key in settings) {
+      if (settings[key] !== CONFIG_DEFAULTS[key]) {
+        overrides[key] = settings[key];
+      }
+    }
+    PropertiesService.getDocumentProperties().setProperty(CONFIG_OVERRIDES_PROPERTY, JSON.stringify(overrides));
+    Object.assign(CONFIG, settings);
+    refreshLabelIdSnapshot();
+
+    logDebug(`Saved ${Object.keys(overrides).length} setting(s) that differ from the defaults`);
+    ss.toast('Settings saved. Existing data is not moved to new columns.', 'Settings', 5);
+    onOpenWithFullPermissions(); // Refresh menu
+  } catch (error) {
+    logError(`Error saving settings: ${error.message}`);
+    ss.toast(`Error saving settings: ${error.message}`, 'Error', 10);
+  }
+}
+
+/**
+ * Reads the settings from the Settings sheet, filling in the columns that
+ * follow the first column of a block
+ * @return {Object} The settings, keyed like CONFIG
+ */
+function readSettingsSheet(sheet) {
+  const settings = Object.assign({}, CONFIG_DEFAULTS);
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) {
+    return settings;
+  }
+
+  const values = sheet.getRange(2, 1, lastRow - 1, 2).getValues();
+  for (const [key, value] of values) {
+    if (!(key in EDITABLE_SETTINGS)) {
+      continue;
+    }
+
+    if (key.endsWith('_COLUMN')) {
+      settings[key] = letterToColumn(value);
+    } else if (key === 'HEADER_ROW') {
+      settings[key] = Number(value);
+    } else {
+      settings[key] = String(value).trim();
+    }
+  }
+
+  for (const first in SETTINGS_COLUMN_BLOCKS) {
+    SETTINGS_COLUMN_BLOCKS[first].forEach((key, offset) => {
+      settings[key] = settings[first] + offset;
+    });
+  }
+
+  return settings;
+}
+
+/**
+ * Checks that a set of settings can be used
+ * @param {Object} settings The settings, keyed like CONFIG
+ * @return {string[]} A description of each problem found
+ */
+function validateSettings(settings) {
+  const errors = [];
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  const ownSheets = [SETTINGS_SHEET_NAME, FILTERS_SHEET_NAME, AUDIT_SHEET_NAME, PLAN_SHEET_NAME, UNUSED_SHEET_NAME, JOBS_SHEET_NAME, LOGS_SHEET_NAME, RULES_SHEET_NAME,
+    RETENTION_REPORT_SHEET_NAME];
+  if (!settings.SHEET_NAME || !ss.getSheetByName(settings.SHEET_NAME)) {
+    errors.push(`SHEET_NAME: there is no sheet called "${settings.SHEET_NAME}"`);
+  } else if (ownSheets.includes(settings.SHEET_NAME)) {
+    errors.push(`SHEET_NAME: "${settings.SHEET_NAME}" is used by the script for something else`);
+  }
+
+  if (!Number.isInteger(settings.HEADER_ROW) || settings.HEADER_ROW < 1) {
+    errors.push('HEADER_ROW: must be a row number');
+  }
+
+  if (!settings.ARCHIVE_LABEL || settings.ARCHIVE_LABEL.includes('/')) {
+    errors.push('ARCHIVE_LABEL: must be a top-level label name');
+  }
+
+  // Every column, including the ones that follow the start of a block, needs its own place
+  const columnOwners = {};
+  for (const key of Object.keys(settings).filter(name => name.endsWith('_COLUMN'))) {
+    const column = settings[key];
+    if (!Number.isInteger(column) || column < 1) {
+      errors.push(`${key}: must be a column letter or number`);
+    } else if (columnOwners[column]) {
+      errors.push(`${key}: column ${columnToLetter(column)} is already used by ${columnOwners[column]}`);
+    } else {
+      columnOwners[column] = key;
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Removes all saved settings so the defaults apply again
+ */
+function resetSettings() {
+  const ui = SpreadsheetApp.getUi();
+
+  const response = ui.alert(
+    'Reset Settings',
+    'This will discard the saved settings and go back to the default sheet name and columns. ' +
+    'Do you want to continue?',
+    ui.ButtonSet.YES_NO
+  );
+  if (response !== ui.Button.YES) {
+    return;
+  }
+
+  PropertiesService.getDocumentProperties().deleteProperty(CONFIG_OVERRIDES_PROPERTY);
+  Object.assign(CONFIG, CONFIG_DEFAULTS);
+  refreshLabelIdSnapshot();
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SETTINGS_SHEET_NAME);
+  if (sheet) {
+    writeSettingsSheet(sheet);
+  }
+
+  logDebug('Settings reset to defaults');
+  SpreadsheetApp.getActive().toast('Settings reset to defaults.', 'Settings', 5);
+  onOpenWithFullPermissions(); // Refresh menu
+}
+
+/**
+ * Takes a fresh label ID snapshot after the sheet name or columns changed.
+ * Compared with the old sheet or column, every ID would look like its row had
+ * been deleted, and the next deleted row would delete those labels.
+ */
+function refreshLabelIdSnapshot() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  if (sheet) {
+    saveLabelIdSnapshot(sheet);
+  } else {
+    saveChunkedProperty(PropertiesService.getDocumentProperties(), 'labelIdSnapshot', '');
+  }
+}
+
+/**
+ * Converts a column number to its letter, e.g. 28 -> "AB"
+ * @return {string} The column letter
+ */
+function columnToLetter(column) {
+  let letter = '';
+  for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+/**
+ * Converts a column letter, or a column number, to a column number
+ * @return {number} The column number, or NaN if the value is neither
+ */
+function letterToColumn(value) {
+  const text = String(value).trim().toUpperCase();
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10);
+  }
+  if (!/^[A-Z]+$/.test(text)) {
+    return NaN;
+  }
+
+  let column = 0;
+  for (const char of text) {
+    column = column * 26 + (char.charCodeAt(0) - 64);
+  }
+  return column;
+}
@@ -0,0 +1,237 @@
+/**
+ * sidebar.js - Gmail Label Manager
+ *
+ * Contains the server side of the label sidebar, which shows the labels as a
+ * searchable tree and runs the same create, rename, merge and delete code as
+ * edits to the sheet, reporting the outcome inline rather than as toasts.
+ */
+
+/**
+ * Opens the label sidebar
+ */
+function showLabelSidebar() {
+  SpreadsheetApp.getUi().showSidebar(
+    HtmlService.createHtmlOutputFromFile('sidebar').setTitle('Gmail Labels')
+  );
+}
+
+/**
+ * Gets the user labels for the sidebar tree, parents first. Gmail only counts
+ * threads when a single label is fetched, so the tree shows the counts from
+ * the statistics columns, if they are enabled, rather than fetching every label.
+ * @return {Object[]} The ID, name, thread count (or an empty string) and color of each label
+ */
+function getSidebarLabels() {
+  const threadCounts = getSidebarThreadCounts();
+
+  return Object.values(getCachedLabels())
+    .filter(label => !isSystemLabel(label))
+    .sort((a, b) => (getTreeSortKey(a.name) < getTreeSortKey(b.name) ? -1 : 1))
+    .map(label => ({
+      id: label.id,
+      name: label.name,
+      threads: threadCounts[label.id] === undefined ? '' : threadCounts[label.id],
+      backgroundColor: label.color ? label.color.backgroundColor : '',
+      textColor: label.color ? label.color.textColor : ''
+    }));
+}
+
+/**
+ * Reads the thread counts of the statistics columns of the Labels sheet
+ * @return {Object} Map of label ID -> thread count, empty if statistics are off
+ */
+function getSidebarThreadCounts() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  if (!getStatisticsEnabled() || !sheet) {
+    return {};
+  }
+
+  const ids = readColumn(sheet, CONFIG.LABEL_ID_COLUMN);
+  const counts = readColumn(sheet, CONFIG.THREADS_TOTAL_COLUMN);
+  const threadCounts = {};
+  ids.forEach((id, index) => {
+    if (id && counts[index] !== '') {
+      threadCounts[id] = counts[index];
+    }
+  });
+  return threadCounts;
+}
+
+/**
+ * Gets the current thread count of the label selected in the sidebar
+ * @return {number} The number of threads with the label
+ */
+function getSidebarLabelThreads(labelId) {
+  return countLabelThreads(getSidebarLabel(labelId).id);
+}
+
+/**
+ * Creates a label from the sidebar
+ * @return {Object[]} The notifications raised while creating it
+ */
+function sidebarCreateLabel(labelName) {
+  const name = checkSidebarLabelName(labelName, '');
+  if (getLabelId(name)) {
+    throw new Error(`The label "${name}" already exists.`);
+  }
+
+  return runSidebarAction(sheet => {
+    const row = sheet.getLastRow() + 1;
+    sheet.getRange(row, CONFIG.NAME_COLUMN).setValue(name);
+    createLabel(sheet, row, name);
+  });
+}
+
+/**
+ * Renames a label from the sidebar, along with its nested labels. Renaming
+ * onto an existing label offers to merge the two, as in the sheet.
+ * @return {Object[]} The notifications raised while renaming it
+ */
+function sidebarRenameLabel(labelId, newLabelName) {
+  const label = getSidebarLabel(labelId);
+  const name = checkSidebarLabelName(newLabelName, label.name);
+  if (name === label.name) {
+    return [];
+  }
+  if (name.startsWith(`${label.name}/`)) {
+    throw new Error(`"${label.name}" can't be moved beneath itself.`);
+  }
+  checkSidebarLabelUnlocked(label, 'renamed or moved');
+
+  const labelSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  const lockedChildNames = getLockedLabelNames(labelSheet, getChildLabelNames(getLabelMap(), label.name));
+  if (lockedChildNames.length > 0) {
+    throw new Error(describeLockedNestedLabels(label.name, lockedChildNames));
+  }
+
+  return runSidebarAction(sheet => {
+    const row = getSidebarLabelRow(sheet, label);
+    sheet.getRange(row, CONFIG.NAME_COLUMN).setValue(name);
+    updateLabel(sheet, row, label.name, name);
+  });
+}
+
+/**
+ * Moves a label, and its nested labels, beneath another parent from the sidebar
+ * @param {string} parentLabelName The new parent, or an empty string for the top level
+ * @return {Object[]} The notifications raised while moving it
+ */
+function sidebarMoveLabel(labelId, parentLabelName) {
+  const label = getSidebarLabel(labelId);
+  const leafName = label.name.split('/').pop();
+  return sidebarRenameLabel(labelId, parentLabelName ? `${parentLabelName}/${leafName}` : leafName);
+}
+
+/**
+ * Merges a label into another from the sidebar, after the usual confirmation
+ * @return {Object[]} The notifications raised while merging
+ */
+function sidebarMergeLabels(sourceLabelId, targetLabelName) {
+  const label = getSidebarLabel(sourceLabelId);
+  if (!getLabelId(targetLabelName)) {
+    throw new Error(`The label "${targetLabelName}" doesn't exist.`);
+  }
+  if (targetLabelName === label.name) {
+    throw new Error('Choose two different labels to merge.');
+  }
+  checkSidebarLabelUnlocked(label, 'merged into another label');
+
+  return runSidebarAction(sheet => {
+    if (confirmMergeLabels(label.name, targetLabelName, countLabelThreads(label.id))) {
+      mergeLabels(sheet, label.name, targetLabelName);
+    }
+  });
+}
+
+/**
+ * Deletes a label from the sidebar, as if its name had been cleared in the
+ * sheet, so labels with threads get the same choice of what happens to them
+ * @return {Object[]} The notifications raised while deleting it
+ */
+function sidebarDeleteLabel(labelId) {
+  const label = getSidebarLabel(labelId);
+  checkSidebarLabelUnlocked(label, 'deleted');
+
+  return runSidebarAction(sheet => {
+    const row = getSidebarLabelRow(sheet, label);
+    sheet.getRange(row, CONFIG.NAME_COLUMN).clearContent();
+    deleteLabel(sheet, row, label.name);
+  });
+}
+
+/**
+ * Runs a label action for the sidebar, collecting the notifications it raises
+ * instead of showing them as toasts
+ * @param {Function} action Called with the Labels sheet
+ * @return {Object[]} The title and message of each notification
+ */
+function runSidebarAction(action) {
+  startLogRun('sidebar');
+  capturedNotifications = [];
+  bufferLogRows();
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+    action(sheet);
+    applyPendingTreeLayout(sheet);
+    return capturedNotifications;
+  } finally {
+    capturedNotifications = null;
+    flushLogRows();
+  }
+}
+
+/**
+ * Gets the Gmail label the sidebar refers to
+ * @return {Object} The Gmail label resource
+ */
+function getSidebarLabel(labelId) {
+  const label = indexLabelsById(getCachedLabels())[labelId];
+  if (!label) {
+    throw new Error('The label no longer exists in Gmail. Refresh the sidebar.');
+  }
+  return label;
+}
+
+/**
+ * Refuses to change a locked label from the sidebar
+ * @param {string} change What would happen to the label, e.g. "deleted"
+ */
+function checkSidebarLabelUnlocked(label, change) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  if (isLabelLocked(sheet, label.id)) {
+    throw new Error(`"${label.name}" is locked, so it can't be ${change}. Untick its Locked box in the sheet first.`);
+  }
+}
+
+/**
+ * Normalises a name typed into the sidebar and checks Gmail would accept it
+ * @param {string} currentName The label's name now when renaming, or an empty string
+ * @return {string} The normalised name
+ */
+function checkSidebarLabelName(labelName, currentName) {
+  const name = normalizeLabelName(labelName);
+  if (!name) {
+    throw new Error('Enter a label name.');
+  }
+
+  const problem = validateLabelName(name, getLabelMap(), currentName);
+  if (problem) {
+    throw new Error(`"${name}" can't be used as a label name because ${problem}.`);
+  }
+  return name;
+}
+
+/**
+ * Finds the row of a label in the Labels sheet, adding one if it has none
+ * @param {Object} label The Gmail label resource
+ * @return {number} The row number
+ */
+function getSidebarLabelRow(sheet, label) {
+  const row = findLabelRowById(sheet, label.id);
+  if (row) {
+    return row;
+  }
+
+  appendLabelRows(sheet, [label]);
+  return sheet.getLastRow();
+}
@@ -0,0 +1,265 @@
+/**
+ * stats.js - Gmail Label Manager
+ *
+ * Contains label usage statistics for the Labels sheet and the unused label
+ * report, along with bulk deletion of the labels picked from that report.
+ */
+
+const UNUSED_SHEET_NAME = 'Unused Labels';
+const UNUSED_HEADERS = ['Delete', 'Label Name', 'Label ID', 'Threads', 'Last Activity', 'Reason'];
+const DEFAULT_UNUSED_DAYS = 180;
+
+const STATISTICS_HEADERS = ['Messages', 'Unread Messages', 'Threads', 'Unread Threads', 'Last Activity'];
+
+// Rows refreshed per job step; each label takes a few API calls
+const STATISTICS_BATCH_SIZE = 50;
+
+/**
+ * Gets usage statistics for a Gmail label
+ * @param {string} labelId The ID of the label
+ * @param {string} labelName The name of the label
+ * @return {Object} The message and thread counts, plus the date of the newest thread
+ */
+function getLabelStatistics(labelId, labelName) {
+  // Counts are only included when a single label is fetched, not in the label list
+  const label = Gmail.Users.Labels.get('me', labelId);
+
+  let lastActivity = '';
+  if (label.threadsTotal > 0) {
+    const gmailLabel = GmailApp.getUserLabelByName(labelName);
+    const newest = gmailLabel ? gmailLabel.getThreads(0, 1) : [];
+    if (newest.length > 0) {
+      lastActivity = newest[0].getLastMessageDate();
+    }
+  }
+
+  return {
+    messagesTotal: label.messagesTotal || 0,
+    messagesUnread: label.messagesUnread || 0,
+    threadsTotal: label.threadsTotal || 0,
+    threadsUnread: label.threadsUnread || 0,
+    lastActivity: lastActivity
+  };
+}
+
+/**
+ * Fills the statistics columns of the Labels sheet for every label with an ID.
+ * Each label takes a few API calls, so the refresh runs as a background job
+ * that carries on in later executions on large accounts.
+ */
+function refreshLabelStatistics() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  try {
+    const job = queueStatisticsRefresh();
+    processJobs();
+    ss.toast(
+      job ? 'Label statistics are being refreshed; large sheets carry on in the background.'
+        : 'Label statistics are already being refreshed.',
+      'Statistics',
+      5
+    );
+  } catch (error) {
+    logError(`Error refreshing label statistics: ${error.message}`);
+    ss.toast(`Error refreshing label statistics: ${error.message}`, 'Error', 10);
+  }
+}
+
+/**
+ * Queues a job refreshing the statistics columns, unless one is already
+ * queued or running
+ * @return {Object|null} The queued job, or null if one was already active
+ */
+function queueStatisticsRefresh() {
+  if (getActiveJobs(JOB_TYPES.REFRESH_STATISTICS).length > 0) {
+    logDebug('Label statistics are already being refreshed');
+    return null;
+  }
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  sheet.getRange(CONFIG.HEADER_ROW, CONFIG.MESSAGES_TOTAL_COLUMN, 1, STATISTICS_HEADERS.length)
+    .setValues([STATISTICS_HEADERS]);
+
+  const rowCount = Math.max(sheet.getLastRow() - CONFIG.HEADER_ROW, 0);
+  return enqueueJob(JOB_TYPES.REFRESH_STATISTICS, 'Refresh label statistics',
+    { nextRow: CONFIG.HEADER_ROW + 1 }, rowCount);
+}
+
+/**
+ * Refreshes the statistics of the next batch of rows of the Labels sheet
+ * @return {boolean} Whether every row has been refreshed
+ */
+function refreshStatisticsStep(job) {
+  const params = job.params;
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  const lastRow = sheet.getLastRow();
+  if (params.nextRow > lastRow) {
+    logDebug(`Refreshed statistics for ${job.progress} row(s)`);
+    return true;
+  }
+
+  const rowCount = Math.min(STATISTICS_BATCH_SIZE, lastRow - params.nextRow + 1);
+  const ids = sheet.getRange(params.nextRow, CONFIG.LABEL_ID_COLUMN, rowCount, 1).getValues();
+  const names = sheet.getRange(params.nextRow, CONFIG.NAME_COLUMN, rowCount, 1).getValues();
+
+  const rows = [];
+  for (let i = 0; i < rowCount; i++) {
+    const labelId = ids[i][0];
+    if (!labelId) {
+      rows.push(['', '', '', '', '']);
+      continue;
+    }
+
+    try {
+      const stats = getLabelStatistics(labelId, names[i][0]);
+      rows.push([stats.messagesTotal, stats.messagesUnread, stats.threadsTotal, stats.threadsUnread, stats.lastActivity]);
+    } catch (error) {
+      logError(`Error getting statistics for label "${names[i][0]}": ${error.message}`);
+      rows.push(['', '', '', '', '']);
+    }
+  }
+
+  sheet.getRange(params.nextRow, CONFIG.MESSAGES_TOTAL_COLUMN, rowCount, STATISTICS_HEADERS.length).setValues(rows);
+  params.nextRow += rowCount;
+  job.progress += rowCount;
+  return false;
+}
+
+/**
+ * Builds a report of labels that have no threads, or no activity within a
+ * number of days, on the Unused Labels sheet
+ */
+function findUnusedLabels() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  const response = ui.prompt(
+    'Find Unused Labels',
+    `Report labels with no threads, or no activity in how many days? (default ${DEFAULT_UNUSED_DAYS})`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return;
+  }
+
+  const days = parseInt(response.getResponseText(), 10) || DEFAULT_UNUSED_DAYS;
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  try {
+    const labelResources = getLabelResourceMap();
+    const rows = [];
+
+    for (const name of Object.keys(labelResources).sort()) {
+      const label = labelResources[name];
+      if (isSystemLabel(label)) {
+        continue;
+      }
+
+      const stats = getLabelStatistics(label.id, name);
+      if (stats.threadsTotal === 0) {
+        rows.push([false, name, label.id, 0, '', 'No threads']);
+      } else if (stats.lastActivity && stats.lastActivity < cutoff) {
+        rows.push([false, name, label.id, stats.threadsTotal, stats.lastActivity, `No activity in ${days} days`]);
+      }
+    }
+
+    const reportSheet = ss.getSheetByName(UNUSED_SHEET_NAME) || ss.insertSheet(UNUSED_SHEET_NAME);
+    reportSheet.clear();
+    reportSheet.getRange(1, 1, 1, UNUSED_HEADERS.length).setValues([UNUSED_HEADERS]).setFontWeight('bold');
+    reportSheet.setFrozenRows(1);
+
+    if (rows.length > 0) {
+      reportSheet.getRange(2, 1, rows.length, UNUSED_HEADERS.length).setValues(rows);
+      reportSheet.getRange(2, 1, rows.length, 1).insertCheckboxes();
+    }
+
+    reportSheet.activate();
+    logDebug(`Found ${rows.length} unused label(s)`);
+    ss.toast(
+      `${rows.length} unused label(s) found. Tick the ones to remove, then choose Delete Checked Unused Labels.`,
+      'Unused Labels',
+      8
+    );
+  } catch (error) {
+    logError(`Error finding unused labels: ${error.message}`);
+    ss.toast(`Error finding unused labels: ${error.message}`, 'Error', 10);
+  }
+}
+
+/**
+ * Deletes the labels ticked on the Unused Labels sheet, along with their rows
+ * in the Labels sheet
+ */
+function deleteCheckedUnusedLabels() {
+  startLogRun('delete unused labels');
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const reportSheet = ss.getSheetByName(UNUSED_SHEET_NAME);
+
+  if (!reportSheet || reportSheet.getLastRow() < 2) {
+    ui.alert('No Report', 'Choose Find Unused Labels first.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const values = reportSheet.getRange(2, 1, reportSheet.getLastRow() - 1, UNUSED_HEADERS.length).getValues();
+  const ticked = values
+    .map(rowValues => ({ name: rowValues[1], id: rowValues[2], threads: rowValues[3] }))
+    .filter((entry, index) => values[index][0] === true);
+
+  // Locked labels are left alone even if they were ticked
+  const labelSheet = ss.getSheetByName(CONFIG.SHEET_NAME);
+  const checked = ticked.filter(entry => !isLabelLocked(labelSheet, entry.id));
+  const lockedCount = ticked.length - checked.length;
+  if (lockedCount > 0) {
+    logWarn(`Skipping ${lockedCount} locked label(s) ticked for deletion`);
+  }
+
+  if (checked.length === 0) {
+    ui.alert('Nothing Selected', lockedCount > 0
+      ? 'The ticked labels are all locked. Untick their Locked box in the sheet first to delete them.'
+      : `Tick the labels to delete in the "${UNUSED_SHEET_NAME}" sheet first.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const withThreads = checked.filter(entry => entry.threads > 0).length;
+  const response = ui.alert(
+    'Delete Unused Labels',
+    `This will delete ${checked.length} label(s) from Gmail and the ${CONFIG.SHEET_NAME} sheet.` +
+    (withThreads > 0 ? ` ${withThreads} of them still have threads, which will lose the label.` : '') +
+    (lockedCount > 0 ? ` ${lockedCount} locked label(s) will be skipped.` : '') +
+    '\n\nDo you want to continue?',
+    ui.ButtonSet.YES_NO
+  );
+  if (response !== ui.Button.YES) {
+    return;
+  }
+
+  // Delete nested labels before their parents
+  checked.sort((a, b) => b.name.split('/').length - a.name.split('/').length);
+  const labels = checked.map(entry => ({ id: entry.id, name: entry.name, threads: entry.threads }));
+
+  const job = enqueueJob(JOB_TYPES.DELETE_LABELS, `Delete ${labels.length} unused label(s)`, { labels: labels }, labels.length);
+  runJobNow(job, finished =>
+    `${labels.length - (finished.params.failed || 0)} of ${labels.length} label(s) deleted.`);
+}
+
+/**
+ * Removes the rows of labels that no longer exist in Gmail from the Unused
+ * Labels sheet
+ */
+function removeDeletedUnusedLabelRows() {
+  const reportSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(UNUSED_SHEET_NAME);
+  if (!reportSheet || reportSheet.getLastRow() < 2) {
+    return;
+  }
+
+  const existingIds = new Set(Object.values(getLabelMap()));
+  const ids = reportSheet.getRange(2, 3, reportSheet.getLastRow() - 1, 1).getValues();
+
+  // Bottom up, so deleting a row doesn't shift the ones still to check
+  for (let i = ids.length - 1; i >= 0; i--) {
+    if (!existingIds.has(ids[i][0])) {
+      reportSheet.deleteRow(i + 2);
+    }
+  }
+}
@@ -4,116 +4,675 @@
  * Contains bidirectional synchronization functionality for Gmail labels.
  */
 
+// Prefix of the note added to rows whose label ID no longer exists in Gmail
+const MISSING_LABEL_NOTE = 'Missing in Gmail:';
+
+// Actions that can appear in a sync plan
+const SYNC_ACTIONS = {
+  CREATE_IN_GMAIL: 'Create in Gmail',
+  UPDATE_ID: 'Update ID',
+  RENAME_IN_SHEET: 'Rename in sheet',
+  UPDATE_ATTRIBUTES: 'Update color/visibility',
+  FLAG_MISSING: 'Flag missing',
+  ADD_TO_SHEET: 'Add to sheet',
+  DELETE_IN_GMAIL: 'Delete in Gmail',
+  ARCHIVE_IN_GMAIL: 'Archive in Gmail',
+  REMOVE_ROW: 'Remove row',
+  STRIKE_ROW: 'Strike through row',
+  INVALID_NAME: 'Invalid name',
+  CONFLICT: 'Conflict'
+};
+
+// Sync modes: merge never deletes, the others mirror deletions from one side to the other
+const SYNC_MODES = {
+  MERGE: 'merge',
+  SHEET: 'sheet',
+  GMAIL: 'gmail'
+};
+
 /**
- * Updates the bidirectional sync function to properly handle nested labels too
+ * Gets the display name of a sync mode
+ * @param {string} mode One of the SYNC_MODES values
+ * @return {string} The name shown in the menu
+ */
+function getSyncModeName(mode) {
+  switch (mode) {
+    case SYNC_MODES.SHEET:
+      return 'Sheet is source of truth';
+    case SYNC_MODES.GMAIL:
+      return 'Gmail is source of truth';
+    default:
+      return 'Merge';
+  }
+}
+
+/**
+ * Updates the bidirectional sync function to properly handle nested labels too.
+ * Rows are matched to Gmail labels by the stored label ID first, so labels
+ * renamed within Gmail are renamed in the sheet rather than duplicated.
+ * @param {boolean} silent Whether to skip the toast, for runs nobody is watching
  * @return {Object} Results of the sync operation for notifications
  */
-function syncAllLabels() {
+function syncAllLabels(silent) {
+  startLogRun('sync');
   const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
-  let lastRow = sheet.getLastRow();
+
+  let results;
+  bufferLogRows();
+  try {
+    const plan = buildSyncPlan(sheet);
+    results = executeSyncPlan(sheet, plan);
+    logSyncAuditEntry(results);
+
+    // Statistics take a few API calls per label, so they are left to a job
+    if (getStatisticsEnabled()) {
+      queueStatisticsRefresh();
+    }
+  } finally {
+    flushLogRows();
+  }
+
+  writeSyncStatus(sheet, describeSyncResults(results));
+
+  // If not called from auto sync or the scheduled sync, show a general toast
+  if (silent === true) {
+    return results;
+  }
+  if (!getAutoSyncEnabled() || !ScriptApp.getProjectTriggers().some(trigger => 
+      trigger.getEventType() === ScriptApp.EventType.ON_OPEN && 
+      trigger.getHandlerFunction() === 'onOpenWithFullPermissions')) {
+    SpreadsheetApp.getActive().toast('All labels synced between Spreadsheet and Gmail.');
+  }
   
-  // Results object to track changes for notifications
-  const results = {
-    createdInGmail: [],
-    addedToSheet: [],
-    updatedIds: []
-  };
+  return results;
+}
 
-  // Get existing label map from Gmail
-  const labelMap = getLabelMap();
+/**
+ * Works out everything a sync would change without changing anything
+ * @return {Object[]} The planned actions, each with action, row, labelName,
+ *     newName, labelId and details
+ */
+function buildSyncPlan(sheet) {
+  const plan = [];
+  const lastRow = sheet.getLastRow();
+  const mode = getSyncMode();
+  const softDeletes = getSoftDeletesEnabled();
+
+  // Read the whole sheet once rather than cell by cell
+  const rows = lastRow > CONFIG.HEADER_ROW ? readLabelRows(sheet, CONFIG.HEADER_ROW + 1, lastRow - CONFIG.HEADER_ROW) : [];
+  const rowValues = row => rows[row - CONFIG.HEADER_ROW - 1];
+
+  // Rows struck through by an earlier Gmail-mode sync are retired and ignored
+  const fontLines = lastRow > CONFIG.HEADER_ROW
+    ? sheet.getRange(CONFIG.HEADER_ROW + 1, CONFIG.NAME_COLUMN, lastRow - CONFIG.HEADER_ROW, 1).getFontLines()
+    : [];
+
+  // Get existing labels from Gmail, by name and by ID
+  const labelResources = getLabelResourceMap();
+  const labelsById = indexLabelsById(labelResources);
+
+  // Locked labels are never deleted, archived or have their row removed
+  const lockedIds = getLockedLabelIds(sheet);
+  const isLocked = row => rowValues(row)[CONFIG.LOCKED_COLUMN - 1] === true;
+
+  // Gmail label IDs that already have a row in the spreadsheet
+  const matchedIds = {};
 
   // Step 1: Create a map of all labels already in the spreadsheet
   const sheetLabelMap = {};
   for (let row = CONFIG.HEADER_ROW + 1; row <= lastRow; row++) {
-    const labelName = sheet.getRange(row, CONFIG.NAME_COLUMN).getValue();
-    if (labelName) {
-      sheetLabelMap[labelName] = row;
+    const labelName = rowValues(row)[CONFIG.NAME_COLUMN - 1];
+    if (!labelName || fontLines[row - CONFIG.HEADER_ROW - 1][0] === 'line-through') {
+      continue;
+    }
+
+    if (sheetLabelMap[labelName]) {
+      plan.push(createPlanEntry(SYNC_ACTIONS.CONFLICT, row, labelName, '', '',
+        `Duplicate of row ${sheetLabelMap[labelName]}; this row is ignored`));
+      continue;
     }
+    sheetLabelMap[labelName] = row;
   }
 
   // Step 2: Process existing sheet labels
   for (const labelName in sheetLabelMap) {
     const row = sheetLabelMap[labelName];
+    const storedId = rowValues(row)[CONFIG.LABEL_ID_COLUMN - 1];
+
+    if (storedId) {
+      const label = labelsById[storedId];
+
+      if (!label) {
+        if (mode === SYNC_MODES.GMAIL && !isLocked(row)) {
+          // Gmail is the source of truth, so the row goes too
+          plan.push(createPlanEntry(softDeletes ? SYNC_ACTIONS.STRIKE_ROW : SYNC_ACTIONS.REMOVE_ROW,
+            row, labelName, '', storedId, 'Label ID no longer exists in Gmail'));
+          continue;
+        }
+
+        // The label was deleted in Gmail; flag the row instead of re-creating it
+        plan.push(createPlanEntry(SYNC_ACTIONS.FLAG_MISSING, row, labelName, '', storedId,
+          mode === SYNC_MODES.GMAIL
+            ? 'Label ID no longer exists in Gmail; the row is locked so it is kept'
+            : 'Label ID no longer exists in Gmail'));
+        continue;
+      }
+
+      matchedIds[storedId] = true;
+
+      if (label.name !== labelName) {
+        if (sheetLabelMap[label.name]) {
+          plan.push(createPlanEntry(SYNC_ACTIONS.CONFLICT, row, labelName, label.name, storedId,
+            `Renamed in Gmail, but row ${sheetLabelMap[label.name]} already uses the new name`));
+          continue;
+        }
+
+        // The label was renamed in Gmail, so follow the rename
+        plan.push(createPlanEntry(SYNC_ACTIONS.RENAME_IN_SHEET, row, labelName, label.name, storedId,
+          'Renamed in Gmail'));
+      }
+
+      if (hasAttributeDifferences(rowValues(row), label)) {
+        plan.push(createPlanEntry(SYNC_ACTIONS.UPDATE_ATTRIBUTES, row, label.name, '', storedId, ''));
+      }
+      continue;
+    }
+
+    // Rows without an ID are matched by name
+    const label = labelResources[labelName];
+
+    if (!label && mode === SYNC_MODES.GMAIL && isLocked(row)) {
+      plan.push(createPlanEntry(SYNC_ACTIONS.CONFLICT, row, labelName, '', '',
+        'Label does not exist in Gmail, but the row is locked so it is kept'));
+    } else if (!label && mode === SYNC_MODES.GMAIL) {
+      plan.push(createPlanEntry(softDeletes ? SYNC_ACTIONS.STRIKE_ROW : SYNC_ACTIONS.REMOVE_ROW,
+        row, labelName, '', '', 'Label does not exist in Gmail'));
+    } else if (!label) {
+      const problem = validateLabelName(labelName, labelResources, '');
+      plan.push(problem
+        ? createPlanEntry(SYNC_ACTIONS.INVALID_NAME, row, labelName, '', '', `Not created because ${problem}`)
+        : createPlanEntry(SYNC_ACTIONS.CREATE_IN_GMAIL, row, labelName, '', '', ''));
+    } else if (matchedIds[label.id]) {
+      plan.push(createPlanEntry(SYNC_ACTIONS.CONFLICT, row, labelName, '', label.id,
+        'Another row already holds this label ID'));
+    } else {
+      matchedIds[label.id] = true;
+      plan.push(createPlanEntry(SYNC_ACTIONS.UPDATE_ID, row, labelName, '', label.id, ''));
+
+      if (hasAttributeDifferences(rowValues(row), label)) {
+        plan.push(createPlanEntry(SYNC_ACTIONS.UPDATE_ATTRIBUTES, row, labelName, '', label.id, ''));
+      }
+    }
+  }
+
+  // Step 3: Find Gmail labels not in the spreadsheet
+  const removals = [];
+  for (const labelId in labelsById) {
+    const label = labelsById[labelId];
+
+    // Skip system labels and labels already in the spreadsheet
+    if (isSystemLabel(label) || matchedIds[labelId]) {
+      continue;
+    }
+
+    if (mode !== SYNC_MODES.SHEET) {
+      plan.push(createPlanEntry(SYNC_ACTIONS.ADD_TO_SHEET, '', label.name, '', label.id, ''));
+      continue;
+    }
+
+    // The sheet is the source of truth, so the label goes unless it is already
+    // archived or is the parent of a label that is kept
+    if (isArchivedLabel(label.name) ||
+      Object.keys(sheetLabelMap).some(name => name.startsWith(`${label.name}/`))) {
+      continue;
+    }
+
+    if (lockedIds[labelId]) {
+      plan.push(createPlanEntry(SYNC_ACTIONS.CONFLICT, '', label.name, '', label.id,
+        'Missing from the sheet, but locked so it will not be deleted'));
+      continue;
+    }
+
+    if (softDeletes) {
+      removals.push(createPlanEntry(SYNC_ACTIONS.ARCHIVE_IN_GMAIL, '', label.name,
+        `${CONFIG.ARCHIVE_LABEL}/${label.name}`, label.id, 'Missing from the sheet'));
+      continue;
+    }
+
+    const threadCount = countLabelThreads(label.id);
+    if (threadCount > 0) {
+      plan.push(createPlanEntry(SYNC_ACTIONS.CONFLICT, '', label.name, '', label.id,
+        `Missing from the sheet, but still has ${threadCount} thread(s) so it will not be deleted`));
+    } else {
+      removals.push(createPlanEntry(SYNC_ACTIONS.DELETE_IN_GMAIL, '', label.name, '', label.id,
+        'Missing from the sheet'));
+    }
+  }
+
+  // Remove nested labels before their parents
+  removals.sort((a, b) => b.labelName.split('/').length - a.labelName.split('/').length);
+  plan.push(...removals);
+
+  logDebug(`Sync plan has ${plan.length} action(s)`);
+  return plan;
+}
+
+/**
+ * Creates a single sync plan entry
+ */
+function createPlanEntry(action, row, labelName, newName, labelId, details) {
+  return {
+    action: action,
+    row: row,
+    labelName: labelName,
+    newName: newName,
+    labelId: labelId,
+    details: details
+  };
+}
+
+/**
+ * Carries out a sync plan
+ * @param {Object[]} plan The actions from buildSyncPlan
+ * @return {Object} Results of the sync operation for notifications
+ */
+function executeSyncPlan(sheet, plan) {
+  // Results object to track changes for notifications
+  const results = {
+    createdInGmail: [],
+    addedToSheet: [],
+    updatedIds: [],
+    renamedInSheet: [],
+    missingInGmail: [],
+    deletedInGmail: [],
+    archivedInGmail: [],
+    removedFromSheet: [],
+    struckInSheet: [],
+    conflicts: []
+  };
+
+  // Rows are deleted last, bottom up, so earlier row numbers stay valid
+  const rowsToRemove = [];
+
+  // Changed IDs and names are collected by row and written back together, so
+  // rows the sync doesn't change are never rewritten, and labels added from
+  // Gmail are appended together at the end
+  const idUpdates = {};
+  const nameUpdates = {};
+  const addedLabels = [];
+
+  const labelMap = getLabelMap();
+  const labelResources = getLabelResourceMap();
+  const labelsById = indexLabelsById(labelResources);
+
+  for (const entry of plan) {
+    const row = entry.row;
+    const labelName = entry.labelName;
 
     try {
-      // Check if label exists in Gmail
-      const labelId = labelMap[labelName];
-
-      if (!labelId) {
-        // This is a new label to create
-        // For nested labels, ensure all parent labels exist first
-        if (labelName.includes('/')) {
-          const parts = labelName.split('/');
-          let parentPath = '';
-
-          // Create each level of the hierarchy if needed
-          for (let i = 0; i < parts.length - 1; i++) {
-            if (parentPath) {
-              parentPath += '/';
-            }
-            parentPath += parts[i];
+      switch (entry.action) {
+        case SYNC_ACTIONS.CREATE_IN_GMAIL: {
+          // For nested labels, ensure all parent labels exist first
+          if (labelName.includes('/')) {
+            const parts = labelName.split('/');
+            let parentPath = '';
 
-            // Create the parent label if it doesn't exist
-            const parentId = labelMap[parentPath];
-            if (!parentId) {
-              GmailApp.createLabel(parentPath);
-              logDebug(`Created parent label "${parentPath}"`);
+            // Create each level of the hierarchy if needed
+            for (let i = 0; i < parts.length - 1; i++) {
+              if (parentPath) {
+                parentPath += '/';
+              }
+              parentPath += parts[i];
+
+              // Create the parent label if it doesn't exist
+              if (!labelMap[parentPath]) {
+                createGmailLabel(parentPath);
+                labelMap[parentPath] = true;
+                logDebug(`Created parent label "${parentPath}"`);
+              }
             }
           }
-        }
 
-        // Create the label (now that all parents exist if needed)
-        GmailApp.createLabel(labelName);
-        results.createdInGmail.push(labelName);
+          // Create the label (now that all parents exist if needed)
+          const newLabelId = createGmailLabel(labelName);
+          results.createdInGmail.push(labelName);
+          logAuditEntry(AUDIT_ACTIONS.CREATE, '', labelName, newLabelId, 0, 'Success');
 
-        // Get the new ID
-        const newLabelId = getLabelId(labelName);
-        if (newLabelId) {
-          sheet.getRange(row, CONFIG.LABEL_ID_COLUMN).setValue(newLabelId);
+          idUpdates[row] = newLabelId;
+          clearMissingLabelFlag(sheet, row);
           logDebug(`Created label "${labelName}" during sync with ID: ${newLabelId}`);
+
+          // Carry the sheet's color and visibility over to the new label
+          applyRowAttributesToLabel(sheet, row, newLabelId);
+          break;
         }
-      } else {
-        // Label exists, update the ID
-        sheet.getRange(row, CONFIG.LABEL_ID_COLUMN).setValue(labelId);
-        logDebug(`Updated ID for existing label "${labelName}": ${labelId}`);
-        results.updatedIds.push(labelName);
+
+        case SYNC_ACTIONS.UPDATE_ID:
+          idUpdates[row] = entry.labelId;
+          clearMissingLabelFlag(sheet, row);
+          logDebug(`Updated ID for existing label "${labelName}": ${entry.labelId}`);
+          results.updatedIds.push(labelName);
+          break;
+
+        case SYNC_ACTIONS.RENAME_IN_SHEET:
+          nameUpdates[row] = entry.newName;
+          logDebug(`Label "${labelName}" was renamed in Gmail to "${entry.newName}"`);
+          results.renamedInSheet.push(`${labelName} → ${entry.newName}`);
+          break;
+
+        case SYNC_ACTIONS.UPDATE_ATTRIBUTES:
+          syncLabelColor(sheet, row, labelsById[entry.labelId]);
+          syncLabelVisibility(sheet, row, labelsById[entry.labelId]);
+          break;
+
+        case SYNC_ACTIONS.FLAG_MISSING:
+          flagMissingLabel(sheet, row, entry.labelId);
+          logDebug(`Label "${labelName}" (${entry.labelId}) no longer exists in Gmail`);
+          results.missingInGmail.push(labelName);
+          break;
+
+        case SYNC_ACTIONS.ADD_TO_SHEET: {
+          const label = labelsById[entry.labelId];
+          if (!label) {
+            logDebug(`Label "${labelName}" disappeared from Gmail before it could be added`);
+            break;
+          }
+
+          // Add this label to the spreadsheet
+          addedLabels.push(label);
+          logDebug(`Added Gmail label "${label.name}" to spreadsheet`);
+          results.addedToSheet.push(label.name);
+          break;
+        }
+
+        case SYNC_ACTIONS.DELETE_IN_GMAIL: {
+          // Never delete a label that has picked up threads since the plan was made
+          const threadCount = countLabelThreads(entry.labelId);
+          if (threadCount > 0) {
+            logDebug(`Not deleting label "${labelName}" as it has ${threadCount} threads`);
+            logAuditEntry(AUDIT_ACTIONS.DELETE, labelName, '', entry.labelId, threadCount, 'Refused');
+            results.conflicts.push(labelName);
+            break;
+          }
+
+          deleteGmailLabel(entry.labelId);
+          logAuditEntry(AUDIT_ACTIONS.DELETE, labelName, '', entry.labelId, 0, 'Success');
+          logInfo(`Deleted label "${labelName}" missing from the sheet`);
+          results.deletedInGmail.push(labelName);
+          break;
+        }
+
+        case SYNC_ACTIONS.ARCHIVE_IN_GMAIL: {
+          if (!labelMap[CONFIG.ARCHIVE_LABEL]) {
+            createGmailLabel(CONFIG.ARCHIVE_LABEL);
+            labelMap[CONFIG.ARCHIVE_LABEL] = true;
+          }
+          const archivedId = renameGmailLabel(entry.labelId, labelName, entry.newName);
+          if (archivedId) {
+            logAuditEntry(AUDIT_ACTIONS.RENAME, labelName, entry.newName, archivedId, '', 'Success');
+            logDebug(`Archived label "${labelName}" as "${entry.newName}"`);
+            results.archivedInGmail.push(labelName);
+          }
+          break;
+        }
+
+        case SYNC_ACTIONS.REMOVE_ROW:
+          rowsToRemove.push(row);
+          results.removedFromSheet.push(labelName);
+          break;
+
+        case SYNC_ACTIONS.STRIKE_ROW:
+          sheet.getRange(row, CONFIG.NAME_COLUMN).setFontLine('line-through');
+          logDebug(`Struck through row ${row} for label "${labelName}"`);
+          results.struckInSheet.push(labelName);
+          break;
+
+        case SYNC_ACTIONS.INVALID_NAME:
+          flagInvalidLabelName(sheet, row, `${entry.details}.`);
+          results.conflicts.push(labelName);
+          break;
+
+        case SYNC_ACTIONS.CONFLICT:
+          logDebug(`Skipping conflict for "${labelName}": ${entry.details}`);
+          results.conflicts.push(labelName);
+          break;
       }
     } catch (error) {
       logError(`Error syncing label "${labelName}": ${error.message}`);
     }
   }
 
-  // Step 3: Find Gmail labels not in the spreadsheet
-  const response = Gmail.Users.Labels.list('me');
-  if (response && response.labels) {
-    for (const label of response.labels) {
-      // Skip system labels (they start with "CATEGORY_" or have reserved names)
-      if (label.type === 'system' ||
-        label.name.startsWith('CATEGORY_') ||
-        ['INBOX', 'SENT', 'DRAFT', 'TRASH', 'SPAM'].includes(label.name)) {
-        continue;
-      }
+  writeRowValues(sheet, CONFIG.LABEL_ID_COLUMN, idUpdates);
+  writeRowValues(sheet, CONFIG.NAME_COLUMN, nameUpdates);
+  appendLabelRows(sheet, addedLabels);
 
-      // Skip labels already in the spreadsheet
-      if (sheetLabelMap[label.name]) {
-        continue;
-      }
+  rowsToRemove.sort((a, b) => b - a);
+  for (const row of rowsToRemove) {
+    sheet.deleteRow(row);
+    logDebug(`Removed row ${row} as its label is not in Gmail`);
+  }
+
+  // Rows written by the sync don't raise change events, so refresh the snapshot here
+  saveLabelIdSnapshot(sheet);
+
+  if (results.addedToSheet.length > 0 || results.renamedInSheet.length > 0 || rowsToRemove.length > 0) {
+    applyTreeLayoutIfEnabled(sheet);
+  }
+
+  return results;
+}
+
+/**
+ * Writes values to some rows of a column, in one call per run of consecutive rows
+ * @param {Object} updates Map of row number -> value
+ */
+function writeRowValues(sheet, column, updates) {
+  const rows = Object.keys(updates).map(Number).sort((a, b) => a - b);
 
-      // Add this label to the spreadsheet
-      lastRow++;
-      sheet.getRange(lastRow, CONFIG.LABEL_ID_COLUMN).setValue(label.id);
-      sheet.getRange(lastRow, CONFIG.NAME_COLUMN).setValue(label.name);
-      logDebug(`Added Gmail label "${label.name}" to spreadsheet`);
-      results.addedToSheet.push(label.name);
+  let runStart = 0;
+  for (let i = 1; i <= rows.length; i++) {
+    if (i === rows.length || rows[i] !== rows[i - 1] + 1) {
+      const values = rows.slice(runStart, i).map(row => [updates[row]]);
+      sheet.getRange(rows[runStart], column, values.length, 1).setValues(values);
+      runStart = i;
     }
   }
+}
 
-  // If not called from auto sync, show a general toast
-  if (!getAutoSyncEnabled() || !ScriptApp.getProjectTriggers().some(trigger => 
-      trigger.getEventType() === ScriptApp.EventType.ON_OPEN && 
-      trigger.getHandlerFunction() === 'onOpenWithFullPermissions')) {
-    SpreadsheetApp.getActive().toast('All labels synced between Spreadsheet and Gmail.');
+/**
+ * Records a summary of a sync in the log and the audit log. Changes the sync made in Gmail
+ * are logged individually as they happen, so they can be reverted one by one.
+ * @param {Object} results The results from executeSyncPlan
+ */
+function logSyncAuditEntry(results) {
+  const summary = describeSyncResults(results);
+  logInfo(`Sync finished: ${summary}`, { mode: getSyncMode() });
+  logAuditEntry(AUDIT_ACTIONS.SYNC, '', summary, '', '', 'Success');
+}
+
+/**
+ * Summarises the results of a sync, e.g. "2 created in Gmail, 1 conflicts"
+ * @param {Object} results The results from executeSyncPlan
+ * @return {string} The summary, or "No changes"
+ */
+function describeSyncResults(results) {
+  const summary = [
+    ['created in Gmail', results.createdInGmail],
+    ['added to sheet', results.addedToSheet],
+    ['renamed in sheet', results.renamedInSheet],
+    ['missing in Gmail', results.missingInGmail],
+    ['deleted in Gmail', results.deletedInGmail],
+    ['archived in Gmail', results.archivedInGmail],
+    ['removed from sheet', results.removedFromSheet],
+    ['struck through', results.struckInSheet],
+    ['conflicts', results.conflicts]
+  ].filter(([, labels]) => labels.length > 0)
+    .map(([description, labels]) => `${labels.length} ${description}`)
+    .join(', ');
+
+  return summary || 'No changes';
+}
+
+/**
+ * Writes when the last sync ran and what it did to the status cell of the sheet
+ * @param {string} status The outcome of the sync
+ */
+function writeSyncStatus(sheet, status) {
+  const time = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm');
+  sheet.getRange(CONFIG.HEADER_ROW, CONFIG.SYNC_STATUS_COLUMN).setValue(`Last synced ${time}: ${status}`);
+}
+
+/**
+ * Checks whether the color or visibility in a row differs from the Gmail label
+ * @param {Array} values The values of the row, from readLabelRows
+ * @param {Object} label The Gmail label resource
+ * @return {boolean} Whether a sync would change the row or the label
+ */
+function hasAttributeDifferences(values, label) {
+  const sheetColor = toLabelColor(values[CONFIG.BACKGROUND_COLOR_COLUMN - 1], values[CONFIG.TEXT_COLOR_COLUMN - 1]);
+  if (label.color) {
+    if (!sheetColor ||
+      sheetColor.backgroundColor !== label.color.backgroundColor ||
+      sheetColor.textColor !== label.color.textColor) {
+      return true;
+    }
+  } else if (sheetColor) {
+    return true;
   }
-  
-  return results;
+
+  const labelList = toSheetVisibility(LABEL_LIST_VISIBILITY_OPTIONS, label.labelListVisibility || 'labelShow');
+  const messageList = toSheetVisibility(MESSAGE_LIST_VISIBILITY_OPTIONS, label.messageListVisibility || 'show');
+  return values[CONFIG.LABEL_LIST_VISIBILITY_COLUMN - 1] !== labelList ||
+    values[CONFIG.MESSAGE_LIST_VISIBILITY_COLUMN - 1] !== messageList;
+}
+
+/**
+ * Reads a block of rows from the sheet in one call, wide enough to include
+ * every column a sync compares
+ * @return {Array[]} The values of each row, indexed by column number - 1
+ */
+function readLabelRows(sheet, firstRow, rowCount) {
+  const width = Math.max(
+    CONFIG.LABEL_ID_COLUMN,
+    CONFIG.NAME_COLUMN,
+    CONFIG.BACKGROUND_COLOR_COLUMN,
+    CONFIG.TEXT_COLOR_COLUMN,
+    CONFIG.LABEL_LIST_VISIBILITY_COLUMN,
+    CONFIG.MESSAGE_LIST_VISIBILITY_COLUMN,
+    CONFIG.LOCKED_COLUMN
+  );
+  return sheet.getRange(firstRow, 1, rowCount, width).getValues();
+}
+
+/**
+ * Appends rows for Gmail labels to the end of the sheet, writing each column in
+ * one call and shading the new rows to preview their colors
+ * @param {Object[]} labels The Gmail label resources
+ */
+function appendLabelRows(sheet, labels) {
+  if (labels.length === 0) {
+    return;
+  }
+
+  const firstRow = sheet.getLastRow() + 1;
+  const writeColumn = (column, values) =>
+    sheet.getRange(firstRow, column, labels.length, 1).setValues(values.map(value => [value]));
+
+  writeColumn(CONFIG.LABEL_ID_COLUMN, labels.map(label => label.id));
+  writeColumn(CONFIG.NAME_COLUMN, labels.map(label => label.name));
+  writeColumn(CONFIG.BACKGROUND_COLOR_COLUMN, labels.map(label => (label.color ? label.color.backgroundColor : '')));
+  writeColumn(CONFIG.TEXT_COLOR_COLUMN, labels.map(label => (label.color ? label.color.textColor : '')));
+  writeColumn(CONFIG.LABEL_LIST_VISIBILITY_COLUMN, labels.map(label =>
+    toSheetVisibility(LABEL_LIST_VISIBILITY_OPTIONS, label.labelListVisibility || 'labelShow')));
+  writeColumn(CONFIG.MESSAGE_LIST_VISIBILITY_COLUMN, labels.map(label =>
+    toSheetVisibility(MESSAGE_LIST_VISIBILITY_OPTIONS, label.messageListVisibility || 'show')));
+
+  // Labels that were locked when their row went are locked again
+  const lockedIds = loadLockedLabelIds();
+  sheet.getRange(firstRow, CONFIG.LOCKED_COLUMN, labels.length, 1)
+    .setDataValidation(SpreadsheetApp.newDataValidation().requireCheckbox().build());
+  writeColumn(CONFIG.LOCKED_COLUMN, labels.map(label => lockedIds.includes(label.id)));
+
+  // Same shading as previewLabelColor, for every new row at once
+  const backgrounds = labels.map(label => [label.color ? label.color.backgroundColor : null]);
+  const textColors = labels.map(label => [label.color ? label.color.textColor : null]);
+  sheet.getRange(firstRow, CONFIG.NAME_COLUMN, labels.length, 1).setBackgrounds(backgrounds).setFontColors(textColors);
+  sheet.getRange(firstRow, CONFIG.BACKGROUND_COLOR_COLUMN, labels.length, 1).setBackgrounds(backgrounds);
+  sheet.getRange(firstRow, CONFIG.TEXT_COLOR_COLUMN, labels.length, 1).setBackgrounds(textColors);
+}
+
+/**
+ * Checks whether a Gmail label is a system label that should never be synced
+ * (they start with "CATEGORY_" or have reserved names)
+ * @param {Object} label The Gmail label resource
+ * @return {boolean} Whether the label is a system label
+ */
+function isSystemLabel(label) {
+  return label.type === 'system' ||
+    label.name.startsWith('CATEGORY_') ||
+    ['INBOX', 'SENT', 'DRAFT', 'TRASH', 'SPAM'].includes(label.name);
+}
+
+/**
+ * Checks whether a label is the archive label or nested beneath it
+ * @return {boolean} Whether the label has been archived
+ */
+function isArchivedLabel(labelName) {
+  return labelName === CONFIG.ARCHIVE_LABEL || labelName.startsWith(`${CONFIG.ARCHIVE_LABEL}/`);
+}
+
+/**
+ * Flags a row whose stored label ID no longer exists in Gmail
+ * @param {string} labelId The vanished label ID
+ */
+function flagMissingLabel(sheet, row, labelId) {
+  sheet.getRange(row, CONFIG.NAME_COLUMN).setNote(
+    `${MISSING_LABEL_NOTE} label ID ${labelId} was not found in Gmail. ` +
+    'Clear the Label ID cell and sync again to re-create it, or delete the row.');
+}
+
+/**
+ * Removes the missing-label flag from a row, leaving any other note alone
+ */
+function clearMissingLabelFlag(sheet, row) {
+  const cell = sheet.getRange(row, CONFIG.NAME_COLUMN);
+  if (cell.getNote().startsWith(MISSING_LABEL_NOTE)) {
+    cell.clearNote();
+  }
+}
+
+/**
+ * Merges the color of an existing label between Gmail and the spreadsheet.
+ * Gmail's color fills the sheet; a sheet color is only pushed to Gmail when
+ * the label has no color there yet.
+ * @param {Object} label The Gmail label resource
+ */
+function syncLabelColor(sheet, row, label) {
+  if (!label) {
+    return;
+  }
+
+  if (label.color) {
+    setRowLabelColor(sheet, row, label.color);
+    return;
+  }
+
+  const sheetColor = getRowLabelColor(sheet, row);
+  if (sheetColor) {
+    applyLabelColor(label.id, sheetColor);
+    previewLabelColor(sheet, row, sheetColor);
+    logDebug(`Applied sheet color to label "${label.name}"`);
+  }
+}
+
+/**
+ * Copies the visibility of an existing label from Gmail into the spreadsheet.
+ * Gmail always has a visibility, so unlike colors it simply wins.
+ * @param {Object} label The Gmail label resource
+ */
+function syncLabelVisibility(sheet, row, label) {
+  if (!label) {
+    return;
+  }
+  setRowLabelVisibility(sheet, row, label);
 }
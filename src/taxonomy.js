@@ -0,0 +1,323 @@
+/**
+ * taxonomy.js - Gmail Label Manager
+ *
+ * Contains export and import of the label taxonomy (names, hierarchy, colors
+ * and visibility) as JSON or CSV, so the same labels can be set up for another
+ * account or kept in version control.
+ */
+
+const TAXONOMY_FORMAT_VERSION = 1;
+const TAXONOMY_CSV_HEADERS = ['Name', 'Parent', 'Background Color', 'Text Color', 'Label List Visibility', 'Message List Visibility'];
+
+const IMPORT_ACTIONS = {
+  CREATE: 'Create',
+  UPDATE: 'Update',
+  UNCHANGED: 'Unchanged',
+  INVALID: 'Invalid'
+};
+
+/**
+ * Shows the export dialog with the labels as JSON
+ */
+function exportLabelsAsJson() {
+  showExportDialog('json');
+}
+
+/**
+ * Shows the export dialog with the labels as CSV
+ */
+function exportLabelsAsCsv() {
+  showExportDialog('csv');
+}
+
+/**
+ * Shows a dialog holding the exported labels, with a button to download them
+ * @param {string} format "json" or "csv"
+ */
+function showExportDialog(format) {
+  try {
+    const entries = getTaxonomyEntries();
+    const date = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+
+    const template = HtmlService.createTemplateFromFile('export-dialog');
+    template.content = format === 'json' ? toTaxonomyJson(entries) : toTaxonomyCsv(entries);
+    template.fileName = `gmail-labels-${date}.${format}`;
+    template.mimeType = format === 'json' ? 'application/json' : 'text/csv';
+
+    SpreadsheetApp.getUi().showModalDialog(
+      template.evaluate().setWidth(600).setHeight(420),
+      `Export ${entries.length} Label(s)`
+    );
+    logDebug(`Exported ${entries.length} label(s) as ${format}`);
+  } catch (error) {
+    logError(`Error exporting labels: ${error.message}`);
+    SpreadsheetApp.getActive().toast(`Error exporting labels: ${error.message}`, 'Error', 10);
+  }
+}
+
+/**
+ * Shows the dialog for picking a file to import
+ */
+function showImportDialog() {
+  SpreadsheetApp.getUi().showModalDialog(
+    HtmlService.createHtmlOutputFromFile('import-dialog').setWidth(600).setHeight(420),
+    'Import Labels'
+  );
+}
+
+/**
+ * Gets the user labels from Gmail in the form they are exported, parents first
+ * @return {Object[]} The labels, with visibility as shown in the sheet dropdowns
+ */
+function getTaxonomyEntries() {
+  return Object.values(getCachedLabels())
+    .filter(label => !isSystemLabel(label))
+    .sort((a, b) => (getTreeSortKey(a.name) < getTreeSortKey(b.name) ? -1 : 1))
+    .map(label => ({
+      name: label.name,
+      parent: label.name.split('/').slice(0, -1).join('/'),
+      backgroundColor: label.color ? label.color.backgroundColor : '',
+      textColor: label.color ? label.color.textColor : '',
+      labelListVisibility: toSheetVisibility(LABEL_LIST_VISIBILITY_OPTIONS, label.labelListVisibility || 'labelShow'),
+      messageListVisibility: toSheetVisibility(MESSAGE_LIST_VISIBILITY_OPTIONS, label.messageListVisibility || 'show')
+    }));
+}
+
+/**
+ * Formats exported labels as JSON
+ * @return {string} The JSON document
+ */
+function toTaxonomyJson(entries) {
+  return JSON.stringify({
+    version: TAXONOMY_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    labels: entries
+  }, null, 2);
+}
+
+/**
+ * Formats exported labels as CSV, with a header row
+ * @return {string} The CSV document
+ */
+function toTaxonomyCsv(entries) {
+  const quote = value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const rows = entries.map(entry => [
+    entry.name,
+    entry.parent,
+    entry.backgroundColor,
+    entry.textColor,
+    entry.labelListVisibility,
+    entry.messageListVisibility
+  ]);
+  return [TAXONOMY_CSV_HEADERS].concat(rows).map(row => row.map(quote).join(',')).join('\r\n');
+}
+
+/**
+ * Reads the labels from an exported JSON or CSV file. The hierarchy comes from
+ * the full names; the parent field is only there for readability.
+ * @param {string} content The contents of the file
+ * @return {Object[]} The labels, in the form getTaxonomyEntries returns them
+ */
+function parseTaxonomy(content) {
+  const text = String(content).replace(/^\ufeff/, '').trim();
+
+  if (text.startsWith('{') || text.startsWith('[')) {
+    const document = JSON.parse(text);
+    const labels = Array.isArray(document) ? document : document.labels;
+    if (!Array.isArray(labels)) {
+      throw new Error('The JSON file has no "labels" list');
+    }
+    return labels.map(label => ({
+      name: label.name || '',
+      backgroundColor: label.backgroundColor || '',
+      textColor: label.textColor || '',
+      labelListVisibility: label.labelListVisibility || '',
+      messageListVisibility: label.messageListVisibility || ''
+    }));
+  }
+
+  const rows = Utilities.parseCsv(text);
+  const headers = rows.shift().map(header => String(header).trim().toLowerCase());
+  const nameIndex = headers.indexOf('name');
+  if (nameIndex === -1) {
+    throw new Error('The CSV file has no "Name" column');
+  }
+
+  // Columns are found by their header, so they may come in any order
+  const read = (row, header) => {
+    const index = headers.indexOf(header.toLowerCase());
+    return index === -1 ? '' : String(row[index] || '').trim();
+  };
+  return rows
+    .filter(row => row.some(value => value !== ''))
+    .map(row => ({
+      name: read(row, 'Name'),
+      backgroundColor: read(row, 'Background Color'),
+      textColor: read(row, 'Text Color'),
+      labelListVisibility: read(row, 'Label List Visibility'),
+      messageListVisibility: read(row, 'Message List Visibility')
+    }));
+}
+
+/**
+ * Works out what importing a file would do to the current Gmail labels
+ * @param {string} content The contents of the file
+ * @return {Object[]} One entry per label with its action, name, details and the
+ *     Gmail fields to set
+ */
+function buildImportPlan(content) {
+  const labelResources = getLabelResourceMap();
+  const labelMap = getLabelMap();
+  const seen = {};
+
+  return parseTaxonomy(content).map(entry => {
+    const name = normalizeLabelName(entry.name);
+    const invalid = details => ({ action: IMPORT_ACTIONS.INVALID, name: name, details: details });
+
+    if (!name) {
+      return invalid('Label has no name');
+    }
+    const problem = validateLabelName(name, labelMap, '');
+    if (problem) {
+      return invalid(`Name can't be used because ${problem}`);
+    }
+    if (seen[name.toLowerCase()]) {
+      return invalid('Label appears more than once in the file');
+    }
+    seen[name.toLowerCase()] = true;
+
+    const resource = {};
+    if (entry.backgroundColor || entry.textColor) {
+      const color = toLabelColor(entry.backgroundColor, entry.textColor);
+      if (!isValidLabelColor(color.backgroundColor) || !isValidLabelColor(color.textColor)) {
+        return invalid('Colors must come from the Gmail label palette');
+      }
+      resource.color = color;
+    }
+    if (entry.labelListVisibility) {
+      if (!LABEL_LIST_VISIBILITY_OPTIONS[entry.labelListVisibility]) {
+        return invalid(`Unknown label list visibility "${entry.labelListVisibility}"`);
+      }
+      resource.labelListVisibility = LABEL_LIST_VISIBILITY_OPTIONS[entry.labelListVisibility];
+    }
+    if (entry.messageListVisibility) {
+      if (!MESSAGE_LIST_VISIBILITY_OPTIONS[entry.messageListVisibility]) {
+        return invalid(`Unknown message list visibility "${entry.messageListVisibility}"`);
+      }
+      resource.messageListVisibility = MESSAGE_LIST_VISIBILITY_OPTIONS[entry.messageListVisibility];
+    }
+
+    const existing = labelResources[name];
+    if (!existing) {
+      return { action: IMPORT_ACTIONS.CREATE, name: name, details: '', resource: resource };
+    }
+
+    const changes = describeLabelChanges(existing, resource);
+    if (changes.length === 0) {
+      return { action: IMPORT_ACTIONS.UNCHANGED, name: name, details: '' };
+    }
+    return { action: IMPORT_ACTIONS.UPDATE, name: name, details: changes.join(', '), resource: resource, labelId: existing.id };
+  });
+}
+
+/**
+ * Lists the fields of a Gmail label an import would change
+ * @param {Object} label The Gmail label resource
+ * @param {Object} resource The fields from the import
+ * @return {string[]} A description of each change
+ */
+function describeLabelChanges(label, resource) {
+  const changes = [];
+
+  if (resource.color && (!label.color ||
+    label.color.backgroundColor !== resource.color.backgroundColor ||
+    label.color.textColor !== resource.color.textColor)) {
+    changes.push(`color ${resource.color.backgroundColor} / ${resource.color.textColor}`);
+  }
+  if (resource.labelListVisibility && resource.labelListVisibility !== (label.labelListVisibility || 'labelShow')) {
+    changes.push(`label list "${toSheetVisibility(LABEL_LIST_VISIBILITY_OPTIONS, resource.labelListVisibility)}"`);
+  }
+  if (resource.messageListVisibility && resource.messageListVisibility !== (label.messageListVisibility || 'show')) {
+    changes.push(`message list "${toSheetVisibility(MESSAGE_LIST_VISIBILITY_OPTIONS, resource.messageListVisibility)}"`);
+  }
+
+  return changes;
+}
+
+/**
+ * Previews an import for the import dialog
+ * @param {string} content The contents of the file
+ * @return {Object[]} The plan entries to show
+ */
+function previewLabelImport(content) {
+  try {
+    return buildImportPlan(content).map(entry => ({ action: entry.action, name: entry.name, details: entry.details }));
+  } catch (error) {
+    logError(`Error reading import file: ${error.message}`);
+    throw new Error(`The file could not be read: ${error.message}`);
+  }
+}
+
+/**
+ * Applies an import from the import dialog. The plan is worked out again, so
+ * changes made since the preview are taken into account. New labels go through
+ * createLabel like a name typed into the sheet, after their row is added with
+ * the imported color and visibility.
+ * @param {string} content The contents of the file
+ * @return {string} A summary of what was done
+ */
+function applyLabelImport(content) {
+  startLogRun('import');
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  const counts = { created: 0, updated: 0, failed: 0 };
+
+  bufferLogRows();
+  try {
+    // Parents first, so createLabel never makes a parent without its imported settings
+    const plan = buildImportPlan(content)
+      .sort((a, b) => a.name.split('/').length - b.name.split('/').length);
+
+    for (const entry of plan) {
+      if (entry.action === IMPORT_ACTIONS.CREATE) {
+        const row = sheet.getLastRow() + 1;
+        sheet.getRange(row, CONFIG.NAME_COLUMN).setValue(entry.name);
+        if (entry.resource.color) {
+          setRowLabelColor(sheet, row, entry.resource.color);
+        }
+        setRowLabelVisibility(sheet, row, entry.resource);
+
+        createLabel(sheet, row, entry.name);
+        if (getLabelId(entry.name)) {
+          counts.created++;
+        } else {
+          counts.failed++;
+        }
+      } else if (entry.action === IMPORT_ACTIONS.UPDATE) {
+        try {
+          patchGmailLabel(entry.resource, entry.labelId);
+
+          const row = findLabelRowById(sheet, entry.labelId);
+          if (row) {
+            const label = getLabelResourceMap()[entry.name];
+            setRowLabelColor(sheet, row, label.color || null);
+            setRowLabelVisibility(sheet, row, label);
+          }
+          counts.updated++;
+        } catch (error) {
+          logError(`Error updating label "${entry.name}" from import: ${error.message}`);
+          counts.failed++;
+        }
+      }
+    }
+  } finally {
+    flushLogRows();
+  }
+
+  applyPendingTreeLayout(sheet);
+  saveLabelIdSnapshot(sheet);
+
+  const summary = `${counts.created} label(s) created, ${counts.updated} updated` +
+    (counts.failed > 0 ? `, ${counts.failed} failed (see the execution log)` : '');
+  logInfo(`Import finished: ${summary}`);
+  return summary;
+}
@@ -0,0 +1,148 @@
+/**
+ * tree.js - Gmail Label Manager
+ *
+ * Contains the tree layout of the Labels sheet, which orders rows so nested
+ * labels follow their parent and groups them so subtrees can be collapsed.
+ */
+
+const TREE_HEADERS = ['Depth', 'Parent', 'Leaf Name'];
+
+// Set when a label was created or renamed. The sheet is sorted once the edit
+// or batch has finished, as sorting in between would move the rows it is
+// still working through.
+let treeLayoutPending = false;
+
+/**
+ * Gets the sort key that places a label directly after its parent and before
+ * any label whose name merely starts with the same text
+ * @return {string} The sort key
+ */
+function getTreeSortKey(labelName) {
+  if (!labelName) {
+    // Empty rows go to the bottom
+    return '\uffff';
+  }
+  return String(labelName).toLowerCase().split('/').join('\u0001');
+}
+
+/**
+ * Sorts the Labels sheet as a tree, fills the helper columns and groups each
+ * subtree under its parent row
+ */
+function sortLabelsAsTree(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= CONFIG.HEADER_ROW + 1) {
+    return;
+  }
+
+  const rowCount = lastRow - CONFIG.HEADER_ROW;
+  const names = sheet.getRange(CONFIG.HEADER_ROW + 1, CONFIG.NAME_COLUMN, rowCount, 1).getValues();
+
+  // Sort by a temporary key column so formatting and notes move with their rows
+  const keyColumn = Math.max(sheet.getLastColumn(), CONFIG.LEAF_NAME_COLUMN) + 1;
+  const keyRange = sheet.getRange(CONFIG.HEADER_ROW + 1, keyColumn, rowCount, 1);
+  keyRange.setValues(names.map(([name]) => [getTreeSortKey(name)]));
+  sheet.getRange(CONFIG.HEADER_ROW + 1, 1, rowCount, keyColumn).sort({ column: keyColumn, ascending: true });
+  keyRange.clearContent();
+
+  // The depths of the last layout tell how deep its groups go
+  const previousDepths = sheet.getRange(CONFIG.HEADER_ROW + 1, CONFIG.DEPTH_COLUMN, rowCount, 1).getValues();
+  const previousMaxDepth = Math.max(...previousDepths.map(([depth]) => Number(depth) || 1));
+
+  writeTreeHelperColumns(sheet);
+  groupLabelRows(sheet, previousMaxDepth);
+
+  logDebug(`Sorted ${rowCount} row(s) as a tree`);
+}
+
+/**
+ * Fills the depth, parent and leaf name helper columns
+ */
+function writeTreeHelperColumns(sheet) {
+  sheet.getRange(CONFIG.HEADER_ROW, CONFIG.DEPTH_COLUMN, 1, TREE_HEADERS.length).setValues([TREE_HEADERS]);
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow <= CONFIG.HEADER_ROW) {
+    return;
+  }
+
+  const rowCount = lastRow - CONFIG.HEADER_ROW;
+  const names = sheet.getRange(CONFIG.HEADER_ROW + 1, CONFIG.NAME_COLUMN, rowCount, 1).getValues();
+  const helpers = names.map(([name]) => {
+    if (!name) {
+      return ['', '', ''];
+    }
+    const parts = String(name).split('/');
+    return [parts.length, parts.slice(0, -1).join('/'), parts[parts.length - 1]];
+  });
+
+  sheet.getRange(CONFIG.HEADER_ROW + 1, CONFIG.DEPTH_COLUMN, rowCount, TREE_HEADERS.length).setValues(helpers);
+}
+
+/**
+ * Groups the rows of each subtree so it can be collapsed under its parent row
+ * @param {number} previousMaxDepth The deepest label of the last layout, whose
+ *     groups are removed first
+ */
+function groupLabelRows(sheet, previousMaxDepth) {
+  const lastRow = sheet.getLastRow();
+  const rowCount = lastRow - CONFIG.HEADER_ROW;
+  const firstRow = CONFIG.HEADER_ROW + 1;
+
+  // Rows are grouped one level less deep than their label, in runs of equal depth
+  const depths = sheet.getRange(firstRow, CONFIG.DEPTH_COLUMN, rowCount, 1).getValues().map(([depth]) => depth || 1);
+
+  // Start from a clean slate, as sorting leaves the old groups where they were.
+  // One call over every row removes them, however deep each row was grouped.
+  const oldGroupDepth = Math.max(previousMaxDepth, ...depths) - 1;
+  if (oldGroupDepth > 0) {
+    sheet.getRange(firstRow, 1, rowCount, 1).shiftRowGroupDepth(-oldGroupDepth);
+  }
+
+  sheet.setRowGroupControlPosition(SpreadsheetApp.GroupControlTogglePosition.BEFORE);
+
+  let runStart = 0;
+  for (let i = 1; i <= depths.length; i++) {
+    if (i === depths.length || depths[i] !== depths[runStart]) {
+      if (depths[runStart] > 1) {
+        sheet.getRange(firstRow + runStart, 1, i - runStart, 1).shiftRowGroupDepth(depths[runStart] - 1);
+      }
+      runStart = i;
+    }
+  }
+}
+
+/**
+ * Marks the sheet for sorting by applyPendingTreeLayout, after a label was
+ * created or renamed
+ */
+function requestTreeLayout() {
+  treeLayoutPending = true;
+}
+
+/**
+ * Sorts the sheet if a label was created or renamed since the last sort. Called
+ * by edit handlers and batches once they are done with row numbers.
+ */
+function applyPendingTreeLayout(sheet) {
+  if (!treeLayoutPending) {
+    return;
+  }
+  treeLayoutPending = false;
+  applyTreeLayoutIfEnabled(sheet);
+}
+
+/**
+ * Re-sorts the sheet after labels were added or renamed, if the tree layout is on
+ */
+function applyTreeLayoutIfEnabled(sheet) {
+  if (!getTreeLayoutEnabled()) {
+    return;
+  }
+
+  try {
+    sortLabelsAsTree(sheet);
+  } catch (error) {
+    logError(`Error applying tree layout: ${error.message}`);
+  }
+}
@@ -4,6 +4,17 @@
  * Contains functions related to installable triggers, event handling, and settings.
  */
 
+// Properties hold at most 9KB per value, so long values are split into chunks
+const SNAPSHOT_CHUNK_SIZE = 8000;
+
+// Intervals offered for the scheduled sync, in hours
+const SCHEDULED_SYNC_INTERVALS = {
+  OFF: 0,
+  HOURLY: 1,
+  SIX_HOURLY: 6,
+  DAILY: 24
+};
+
 /**
  * Creates the installable trigger for full permissions
  */
@@ -44,6 +55,9 @@ function toggleEditTrigger() {
       // Trigger exists, so delete it
       ScriptApp.deleteTrigger(trigger);
       triggerExists = true;
+    } else if (trigger.getHandlerFunction() === 'onChangeTrigger') {
+      // The change trigger is managed together with the edit trigger
+      ScriptApp.deleteTrigger(trigger);
     }
   }
 
@@ -53,6 +67,15 @@ function toggleEditTrigger() {
       .forSpreadsheet(SpreadsheetApp.getActiveSpreadsheet())
       .onEdit()
       .create();
+
+    // Row insertions and deletions only raise change events
+    ScriptApp.newTrigger('onChangeTrigger')
+      .forSpreadsheet(SpreadsheetApp.getActiveSpreadsheet())
+      .onChange()
+      .create();
+
+    // Start tracking the rows so deleted rows can be detected
+    saveLabelIdSnapshot(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME));
     SpreadsheetApp.getActive().toast('Row change trigger enabled');
   } else {
     SpreadsheetApp.getActive().toast('Row change trigger disabled');
@@ -66,34 +89,244 @@ function toggleEditTrigger() {
  * Handler for edit events in the spreadsheet
  */
 function onEditTrigger(e) {
+  startLogRun('edit');
+  bufferLogRows();
   try {
     // Get sheet, row, and column of edit
     const sheet = e.source.getActiveSheet();
     const sheetName = sheet.getName();
 
+    // Edits to the Filters sheet create or delete Gmail filters
+    if (sheetName === FILTERS_SHEET_NAME) {
+      handleFilterEdit(sheet, e.range);
+      return;
+    }
+
     // Only process edits in our target sheet
     if (sheetName !== CONFIG.SHEET_NAME) return;
 
+    // Pastes, fills and cleared blocks span several cells and carry no values
+    if (e.range.getNumRows() > 1 || e.range.getNumColumns() > 1) {
+      logDebug(`Multi-cell change detected in ${e.range.getA1Notation()}`);
+      handleRangeEdit(sheet, e.range);
+      applyPendingTreeLayout(sheet);
+      saveLabelIdSnapshot(sheet);
+      return;
+    }
+
     const row = e.range.getRow();
     const column = e.range.getColumn();
 
     // Skip header row
     if (row <= CONFIG.HEADER_ROW) return;
 
-    // Only process changes to the name column
-    if (column === CONFIG.NAME_COLUMN) {
+    // Only process changes to the ID, name, color and visibility columns
+    if (column === CONFIG.LABEL_ID_COLUMN) {
+      handleLabelIdEdit(sheet, row, e.oldValue || "", e.value || "");
+    } else if (column === CONFIG.NAME_COLUMN) {
       logDebug(`Change detected in Name column at row ${row}`);
 
       const newLabelName = e.value || "";
       const oldLabelName = e.oldValue || "";
 
       handleLabelChange(sheet, row, oldLabelName, newLabelName);
+    } else if (column === CONFIG.BACKGROUND_COLOR_COLUMN || column === CONFIG.TEXT_COLOR_COLUMN) {
+      logDebug(`Change detected in color column at row ${row}`);
+
+      handleColorChange(sheet, row, column, e.oldValue || "", e.value || "");
+    } else if (column === CONFIG.LABEL_LIST_VISIBILITY_COLUMN || column === CONFIG.MESSAGE_LIST_VISIBILITY_COLUMN) {
+      logDebug(`Change detected in visibility column at row ${row}`);
+
+      handleVisibilityChange(sheet, row, column, e.oldValue || "", e.value || "");
     }
+
+    applyPendingTreeLayout(sheet);
+    saveLabelIdSnapshot(sheet);
   } catch (error) {
     logError(`Error in onEditTrigger: ${error.message}`);
+  } finally {
+    flushLogRows();
   }
 }
 
+/**
+ * Processes an edit spanning several cells row by row. Multi-cell edits carry
+ * no old values, so the old state of each row is taken from the Gmail label
+ * its stored ID points at. Clearing whole rows clears their IDs too, so those
+ * are taken from the saved snapshot and put back.
+ */
+function handleRangeEdit(sheet, range) {
+  const firstRow = Math.max(range.getRow(), CONFIG.HEADER_ROW + 1);
+  const lastRow = range.getLastRow();
+  if (firstRow > lastRow) return;
+
+  const coversColumn = column => column >= range.getColumn() && column <= range.getLastColumn();
+  const labelsById = indexLabelsById(getLabelResourceMap());
+  const snapshotIds = loadLabelIdSnapshot();
+  const currentIds = getSheetLabelIds(sheet);
+
+  // Read the edited rows in one call
+  const rows = readLabelRows(sheet, firstRow, lastRow - firstRow + 1);
+
+  for (let row = firstRow; row <= lastRow; row++) {
+    const values = rows[row - firstRow];
+    try {
+      let labelId = String(values[CONFIG.LABEL_ID_COLUMN - 1]);
+
+      // Only an ID that is missing from the whole sheet now can have been
+      // cleared from this row; rows moved since the snapshot keep theirs
+      const snapshotId = snapshotIds[row - CONFIG.HEADER_ROW - 1];
+      if (!labelId && coversColumn(CONFIG.LABEL_ID_COLUMN) && snapshotId && !currentIds.includes(snapshotId)) {
+        sheet.getRange(row, CONFIG.LABEL_ID_COLUMN).setValue(snapshotId);
+        logDebug(`Put back the label ID cleared from row ${row}`);
+        labelId = snapshotId;
+      }
+      const label = labelId ? labelsById[labelId] : null;
+
+      if (coversColumn(CONFIG.NAME_COLUMN)) {
+        const newLabelName = String(values[CONFIG.NAME_COLUMN - 1]);
+        handleLabelChange(sheet, row, label ? label.name : "", newLabelName);
+      }
+
+      const colorColumns = [
+        [CONFIG.BACKGROUND_COLOR_COLUMN, label && label.color ? label.color.backgroundColor : ""],
+        [CONFIG.TEXT_COLOR_COLUMN, label && label.color ? label.color.textColor : ""]
+      ];
+      for (const [column, oldValue] of colorColumns) {
+        const newValue = String(values[column - 1]);
+        if (coversColumn(column) && normalizeColor(newValue) !== oldValue) {
+          handleColorChange(sheet, row, column, oldValue, newValue);
+        }
+      }
+
+      const visibilityColumns = [
+        [CONFIG.LABEL_LIST_VISIBILITY_COLUMN,
+          label ? toSheetVisibility(LABEL_LIST_VISIBILITY_OPTIONS, label.labelListVisibility || 'labelShow') : ""],
+        [CONFIG.MESSAGE_LIST_VISIBILITY_COLUMN,
+          label ? toSheetVisibility(MESSAGE_LIST_VISIBILITY_OPTIONS, label.messageListVisibility || 'show') : ""]
+      ];
+      for (const [column, oldValue] of visibilityColumns) {
+        const newValue = String(values[column - 1]);
+        if (coversColumn(column) && newValue !== oldValue) {
+          handleVisibilityChange(sheet, row, column, oldValue, newValue);
+        }
+      }
+    } catch (error) {
+      logError(`Error processing row ${row} of multi-cell edit: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Handler for change events in the spreadsheet, used to spot deleted rows
+ */
+function onChangeTrigger(e) {
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+    if (!sheet) return;
+
+    if (e.changeType === 'REMOVE_ROW') {
+      // The event doesn't say which rows went, so compare against the last snapshot
+      const previousIds = loadLabelIdSnapshot();
+      const currentIds = getSheetLabelIds(sheet);
+      const removedIds = previousIds.filter(id => id && !currentIds.includes(id));
+
+      if (removedIds.length > 0) {
+        logDebug(`Detected ${removedIds.length} deleted row(s)`);
+        const labelsById = indexLabelsById(getLabelResourceMap());
+        const lockedIds = loadLockedLabelIds();
+        for (const labelId of removedIds) {
+          if (labelsById[labelId] && lockedIds.includes(labelId)) {
+            restoreLockedLabelRow(sheet, labelsById[labelId]);
+          } else if (labelsById[labelId]) {
+            handleRemovedLabelRow(sheet, labelsById[labelId]);
+          }
+        }
+      }
+    }
+
+    saveLabelIdSnapshot(sheet);
+  } catch (error) {
+    logError(`Error in onChangeTrigger: ${error.message}`);
+  }
+}
+
+/**
+ * Gets the label IDs currently stored in the sheet
+ * @return {string[]} The non-empty label IDs
+ */
+function getSheetLabelIds(sheet) {
+  return readColumn(sheet, CONFIG.LABEL_ID_COLUMN)
+    .map(value => String(value))
+    .filter(id => id);
+}
+
+/**
+ * Saves the label ID of every row so rows deleted or cleared later can be
+ * identified, along with which of them are locked
+ */
+function saveLabelIdSnapshot(sheet) {
+  if (!sheet) return;
+
+  const ids = readColumn(sheet, CONFIG.LABEL_ID_COLUMN).map(value => String(value));
+  saveChunkedProperty(PropertiesService.getDocumentProperties(), 'labelIdSnapshot', ids.join(','));
+  saveLockedLabelIds(sheet);
+}
+
+/**
+ * Loads the label IDs saved by saveLabelIdSnapshot
+ * @return {string[]} The label ID of each row, empty for rows without one, or
+ *     an empty list if there is no snapshot
+ */
+function loadLabelIdSnapshot() {
+  const serialized = loadChunkedProperty(PropertiesService.getDocumentProperties(), 'labelIdSnapshot');
+  return serialized ? serialized.split(',') : [];
+}
+
+/**
+ * Saves a value that may be too long for a single property, as "<key>_0",
+ * "<key>_1", ... with the number of chunks in "<key>Chunks"
+ * @param {Properties} properties The property store to save to
+ */
+function saveChunkedProperty(properties, key, value) {
+  const chunks = {};
+  let count = 0;
+  for (let i = 0; i < value.length; i += SNAPSHOT_CHUNK_SIZE) {
+    chunks[`${key}_${count}`] = value.slice(i, i + SNAPSHOT_CHUNK_SIZE);
+    count++;
+  }
+  chunks[`${key}Chunks`] = count.toString();
+
+  properties.setProperties(chunks);
+}
+
+/**
+ * Loads a value saved by saveChunkedProperty
+ * @param {Properties} properties The property store to load from
+ * @return {string} The value, or an empty string if it was never saved
+ */
+function loadChunkedProperty(properties, key) {
+  const count = parseInt(properties.getProperty(`${key}Chunks`) || '0', 10);
+
+  let value = '';
+  for (let i = 0; i < count; i++) {
+    value += properties.getProperty(`${key}_${i}`) || '';
+  }
+  return value;
+}
+
+/**
+ * Deletes a value saved by saveChunkedProperty
+ * @param {Properties} properties The property store to delete from
+ */
+function deleteChunkedProperty(properties, key) {
+  const count = parseInt(properties.getProperty(`${key}Chunks`) || '0', 10);
+  for (let i = 0; i < count; i++) {
+    properties.deleteProperty(`${key}_${i}`);
+  }
+  properties.deleteProperty(`${key}Chunks`);
+}
+
 /**
  * Gets the auto sync setting status
  * @return {boolean} Whether auto sync is enabled
@@ -111,3 +344,205 @@ function toggleAutoSync() {
   SpreadsheetApp.getActive().toast(`Auto Sync ${enabled ? 'ENABLED' : 'DISABLED'}`);
   onOpenWithFullPermissions(); // Refresh menu
 }
+
+/**
+ * Gets the sync mode used by Sync All Labels and Auto Sync
+ * @return {string} One of the SYNC_MODES values
+ */
+function getSyncMode() {
+  const mode = PropertiesService.getUserProperties().getProperty('syncMode');
+  return Object.values(SYNC_MODES).includes(mode) ? mode : SYNC_MODES.MERGE;
+}
+
+/**
+ * Sets the sync mode, warning first when the new mode can delete labels or rows
+ * @param {string} mode One of the SYNC_MODES values
+ */
+function setSyncMode(mode) {
+  if (mode !== SYNC_MODES.MERGE) {
+    const ui = SpreadsheetApp.getUi();
+    const target = mode === SYNC_MODES.SHEET ? 'Gmail labels that are missing from the sheet' : 'rows whose label is missing from Gmail';
+    const response = ui.alert(
+      'Change Sync Mode',
+      `In this mode, syncing will ${getSoftDeletesEnabled() ? 'archive' : 'delete'} ${target}. ` +
+      'Labels that still have threads are never deleted.\n\n' +
+      'Use Preview Sync to check what a sync would do. Do you want to continue?',
+      ui.ButtonSet.YES_NO
+    );
+    if (response !== ui.Button.YES) {
+      return;
+    }
+  }
+
+  PropertiesService.getUserProperties().setProperty('syncMode', mode);
+  SpreadsheetApp.getActive().toast(`Sync mode set to ${getSyncModeName(mode)}`);
+  onOpenWithFullPermissions(); // Refresh menu
+}
+
+/**
+ * Menu handlers for choosing the sync mode
+ */
+function setSyncModeMerge() {
+  setSyncMode(SYNC_MODES.MERGE);
+}
+
+function setSyncModeSheet() {
+  setSyncMode(SYNC_MODES.SHEET);
+}
+
+function setSyncModeGmail() {
+  setSyncMode(SYNC_MODES.GMAIL);
+}
+
+/**
+ * Gets whether mirrored deletions archive labels and strike through rows
+ * instead of deleting them
+ * @return {boolean} Whether soft deletes are enabled
+ */
+function getSoftDeletesEnabled() {
+  return PropertiesService.getUserProperties().getProperty('softDeletesEnabled') === 'true';
+}
+
+/**
+ * Toggles the soft deletes setting on/off
+ */
+function toggleSoftDeletes() {
+  const enabled = !getSoftDeletesEnabled();
+  PropertiesService.getUserProperties().setProperty('softDeletesEnabled', enabled.toString());
+  SpreadsheetApp.getActive().toast(`Soft Deletes ${enabled ? 'ENABLED' : 'DISABLED'}`);
+  onOpenWithFullPermissions(); // Refresh menu
+}
+
+/**
+ * Gets whether the statistics columns are refreshed on every sync
+ * @return {boolean} Whether statistics are enabled
+ */
+function getStatisticsEnabled() {
+  return PropertiesService.getUserProperties().getProperty('statisticsEnabled') === 'true';
+}
+
+/**
+ * Toggles the statistics columns on/off, filling them straight away when enabled
+ */
+function toggleStatistics() {
+  const enabled = !getStatisticsEnabled();
+  PropertiesService.getUserProperties().setProperty('statisticsEnabled', enabled.toString());
+  if (enabled) {
+    queueStatisticsRefresh();
+    processJobs();
+  }
+  SpreadsheetApp.getActive().toast(`Label Statistics ${enabled ? 'ENABLED' : 'DISABLED'}`);
+  onOpenWithFullPermissions(); // Refresh menu
+}
+
+/**
+ * Gets whether the Labels sheet is kept sorted as a tree. This is stored per
+ * spreadsheet, as it changes the layout everyone sees.
+ * @return {boolean} Whether the tree layout is enabled
+ */
+function getTreeLayoutEnabled() {
+  return PropertiesService.getDocumentProperties().getProperty('treeLayoutEnabled') === 'true';
+}
+
+/**
+ * Toggles the tree layout on/off, sorting the sheet straight away when enabled
+ */
+function toggleTreeLayout() {
+  const enabled = !getTreeLayoutEnabled();
+  PropertiesService.getDocumentProperties().setProperty('treeLayoutEnabled', enabled.toString());
+  if (enabled) {
+    sortLabelsAsTree(SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME));
+  }
+  SpreadsheetApp.getActive().toast(`Sort as Tree ${enabled ? 'ENABLED' : 'DISABLED'}`);
+  onOpenWithFullPermissions(); // Refresh menu
+}
+
+/**
+ * Gets how often the scheduled sync runs
+ * @return {number} One of the SCHEDULED_SYNC_INTERVALS values
+ */
+function getScheduledSyncInterval() {
+  const hours = parseInt(PropertiesService.getUserProperties().getProperty('scheduledSyncHours') || '0', 10);
+  return Object.values(SCHEDULED_SYNC_INTERVALS).includes(hours) ? hours : SCHEDULED_SYNC_INTERVALS.OFF;
+}
+
+/**
+ * Gets a readable name for a scheduled sync interval
+ * @param {number} hours One of the SCHEDULED_SYNC_INTERVALS values
+ * @return {string} The name shown in the menu
+ */
+function getScheduledSyncIntervalName(hours) {
+  switch (hours) {
+    case SCHEDULED_SYNC_INTERVALS.HOURLY:
+      return 'Every Hour';
+    case SCHEDULED_SYNC_INTERVALS.SIX_HOURLY:
+      return 'Every 6 Hours';
+    case SCHEDULED_SYNC_INTERVALS.DAILY:
+      return 'Daily';
+    default:
+      return 'Off';
+  }
+}
+
+/**
+ * Replaces the time-driven trigger that runs the scheduled sync
+ * @param {number} hours One of the SCHEDULED_SYNC_INTERVALS values, or OFF to remove it
+ */
+function setScheduledSyncInterval(hours) {
+  for (const trigger of ScriptApp.getProjectTriggers()) {
+    if (trigger.getHandlerFunction() === 'runScheduledSync') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  }
+
+  if (hours !== SCHEDULED_SYNC_INTERVALS.OFF) {
+    const builder = ScriptApp.newTrigger('runScheduledSync').timeBased();
+    if (hours === SCHEDULED_SYNC_INTERVALS.DAILY) {
+      builder.everyDays(1);
+    } else {
+      builder.everyHours(hours);
+    }
+    builder.create();
+  }
+
+  PropertiesService.getUserProperties().setProperty('scheduledSyncHours', hours.toString());
+  SpreadsheetApp.getActive().toast(`Scheduled sync set to ${getScheduledSyncIntervalName(hours)}`);
+  onOpenWithFullPermissions(); // Refresh menu
+}
+
+/**
+ * Menu handlers for choosing the scheduled sync interval
+ */
+function setScheduledSyncOff() {
+  setScheduledSyncInterval(SCHEDULED_SYNC_INTERVALS.OFF);
+}
+
+function setScheduledSyncHourly() {
+  setScheduledSyncInterval(SCHEDULED_SYNC_INTERVALS.HOURLY);
+}
+
+function setScheduledSyncSixHourly() {
+  setScheduledSyncInterval(SCHEDULED_SYNC_INTERVALS.SIX_HOURLY);
+}
+
+function setScheduledSyncDaily() {
+  setScheduledSyncInterval(SCHEDULED_SYNC_INTERVALS.DAILY);
+}
+
+/**
+ * Handler for the time-driven trigger. Nobody is watching, so the sync runs
+ * without toasts and its outcome is left in the status cell instead.
+ */
+function runScheduledSync() {
+  startLogRun('scheduled sync');
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+  if (!sheet) return;
+
+  try {
+    syncAllLabels(true);
+    logInfo('Scheduled sync complete');
+  } catch (error) {
+    logError(`Scheduled sync failed: ${error.message}`);
+    writeSyncStatus(sheet, `Failed - ${error.message}`);
+  }
+}
@@ -4,6 +4,10 @@
  * Contains menu creation and UI-related functions for the application.
  */
 
+// Notifications of an action started from the sidebar, which shows them inline
+// instead of as toasts. Null when no sidebar action is running.
+let capturedNotifications = null;
+
 /**
  * SIMPLE TRIGGER (limited permissions)
  * This runs automatically when the spreadsheet is opened,
@@ -15,6 +19,11 @@ function onOpen() {
   try {
     // Set up the label ID column - this works with limited permissions
     setupLabelIdColumn();
+    setupColorColumns();
+    setupVisibilityColumns();
+    setupNameValidation();
+    setupRetentionColumn();
+    setupLockedColumn();
 
     // Create a simple menu that shows options available with limited permissions
     ui.createMenu('Gmail Labels')
@@ -49,7 +58,47 @@ function onOpenWithFullPermissions() {
     const menu = ui.createMenu('Gmail Labels')
       .addItem((editTriggerEnabled ? '[ON] ' : '[OFF] ') + 'Trigger On Spreadsheet Change', 'toggleEditTrigger')
       .addItem((getAutoSyncEnabled() ? '[ON] ' : '[OFF] ') + 'Auto Sync On Startup', 'toggleAutoSync')
-      .addItem('Sync All Labels', 'syncAllLabels');
+      .addItem((getStatisticsEnabled() ? '[ON] ' : '[OFF] ') + 'Label Statistics On Sync', 'toggleStatistics')
+      .addItem((getTreeLayoutEnabled() ? '[ON] ' : '[OFF] ') + 'Sort as Tree', 'toggleTreeLayout')
+      .addItem('Open Label Sidebar', 'showLabelSidebar')
+      .addItem('Sync All Labels', 'syncAllLabels')
+      .addItem('Preview Sync', 'previewSync')
+      .addItem('Apply Plan', 'applySyncPlan')
+      .addItem('Merge Labels', 'promptMergeLabels')
+      .addItem('Refresh Filters', 'refreshFiltersSheet')
+      .addSubMenu(ui.createMenu('Reports')
+        .addItem('Refresh Label Statistics', 'refreshLabelStatistics')
+        .addItem('Find Unused Labels', 'findUnusedLabels')
+        .addItem('Delete Checked Unused Labels', 'deleteCheckedUnusedLabels'))
+      .addSubMenu(ui.createMenu('Rules')
+        .addItem('Show Rules', 'showRulesSheet')
+        .addItem('Run Rules', 'runRules')
+        .addItem((getScheduledRulesEnabled() ? '[ON] ' : '[OFF] ') + 'Run Rules Daily', 'toggleScheduledRules'))
+      .addSubMenu(ui.createMenu('Retention')
+        .addItem('Preview Retention (Dry Run)', 'previewRetention')
+        .addItem('Apply Retention Now', 'applyRetention')
+        .addItem((getScheduledRetentionEnabled() ? '[ON] ' : '[OFF] ') + 'Apply Retention Daily', 'toggleScheduledRetention')
+        .addItem('Show Retention Report', 'showRetentionReport'))
+      .addSubMenu(ui.createMenu('Export / Import')
+        .addItem('Export Labels as JSON', 'exportLabelsAsJson')
+        .addItem('Export Labels as CSV', 'exportLabelsAsCsv')
+        .addItem('Import Labels', 'showImportDialog'))
+      .addSubMenu(ui.createMenu('Jobs')
+        .addItem('Show Jobs', 'showJobsSheet')
+        .addItem('Run Jobs Now', 'runJobsFromMenu')
+        .addItem('Cancel Selected Job', 'cancelSelectedJob'))
+      .addSeparator()
+      .addItem('Undo Last Change', 'undoLastChange')
+      .addItem('Revert Selected Entry', 'revertSelectedAuditEntry')
+      .addSeparator()
+      .addSubMenu(createSyncModeMenu(ui))
+      .addSubMenu(createScheduledSyncMenu(ui))
+      .addItem((getSoftDeletesEnabled() ? '[ON] ' : '[OFF] ') + 'Soft Deletes (archive / strike through)', 'toggleSoftDeletes')
+      .addSubMenu(ui.createMenu('Settings')
+        .addItem('Open Settings', 'openSettingsSheet')
+        .addItem('Save Settings', 'saveSettings')
+        .addItem('Reset to Defaults', 'resetSettings'))
+      .addSubMenu(createLogsMenu(ui));
 
     menu.addToUi();
 
@@ -70,6 +119,54 @@ function onOpenWithFullPermissions() {
   }
 }
 
+/**
+ * Builds the sync mode submenu, marking the mode currently in use
+ * @return {Menu} The submenu
+ */
+function createSyncModeMenu(ui) {
+  const mode = getSyncMode();
+  const marker = value => (mode === value ? '[ON] ' : '[OFF] ');
+
+  return ui.createMenu(`Sync Mode: ${getSyncModeName(mode)}`)
+    .addItem(marker(SYNC_MODES.MERGE) + getSyncModeName(SYNC_MODES.MERGE), 'setSyncModeMerge')
+    .addItem(marker(SYNC_MODES.SHEET) + getSyncModeName(SYNC_MODES.SHEET), 'setSyncModeSheet')
+    .addItem(marker(SYNC_MODES.GMAIL) + getSyncModeName(SYNC_MODES.GMAIL), 'setSyncModeGmail');
+}
+
+/**
+ * Builds the logs submenu, marking the log level currently in use
+ * @return {Menu} The submenu
+ */
+function createLogsMenu(ui) {
+  const settings = getLogSettings();
+  const marker = value => (settings.level === value ? '[ON] ' : '[OFF] ');
+
+  return ui.createMenu(`Logs: ${settings.level}`)
+    .addItem(marker('DEBUG') + 'Debug', 'setLogLevelDebug')
+    .addItem(marker('INFO') + 'Info', 'setLogLevelInfo')
+    .addItem(marker('WARN') + 'Warnings', 'setLogLevelWarn')
+    .addItem(marker('ERROR') + 'Errors', 'setLogLevelError')
+    .addSeparator()
+    .addItem((settings.sheetEnabled ? '[ON] ' : '[OFF] ') + 'Log to Sheet', 'toggleSheetLogging')
+    .addItem('Show Logs', 'showLogsSheet')
+    .addItem('Clear Logs', 'clearLogs');
+}
+
+/**
+ * Builds the scheduled sync submenu, marking the interval currently in use
+ * @return {Menu} The submenu
+ */
+function createScheduledSyncMenu(ui) {
+  const hours = getScheduledSyncInterval();
+  const marker = value => (hours === value ? '[ON] ' : '[OFF] ');
+
+  return ui.createMenu(`Scheduled Sync: ${getScheduledSyncIntervalName(hours)}`)
+    .addItem(marker(SCHEDULED_SYNC_INTERVALS.OFF) + getScheduledSyncIntervalName(SCHEDULED_SYNC_INTERVALS.OFF), 'setScheduledSyncOff')
+    .addItem(marker(SCHEDULED_SYNC_INTERVALS.HOURLY) + getScheduledSyncIntervalName(SCHEDULED_SYNC_INTERVALS.HOURLY), 'setScheduledSyncHourly')
+    .addItem(marker(SCHEDULED_SYNC_INTERVALS.SIX_HOURLY) + getScheduledSyncIntervalName(SCHEDULED_SYNC_INTERVALS.SIX_HOURLY), 'setScheduledSyncSixHourly')
+    .addItem(marker(SCHEDULED_SYNC_INTERVALS.DAILY) + getScheduledSyncIntervalName(SCHEDULED_SYNC_INTERVALS.DAILY), 'setScheduledSyncDaily');
+}
+
 /**
  * Prompts the user to enable advanced features and creates the installable trigger
  */
@@ -115,6 +212,169 @@ function promptForPermissions() {
   }
 }
 
+/**
+ * Prompts for a source and target label and merges the source into the target
+ */
+function promptMergeLabels() {
+  startLogRun('merge');
+  const ui = SpreadsheetApp.getUi();
+
+  const source = ui.prompt('Merge Labels', 'Label to merge from (it will be deleted):', ui.ButtonSet.OK_CANCEL);
+  if (source.getSelectedButton() !== ui.Button.OK || !source.getResponseText().trim()) {
+    return;
+  }
+
+  const target = ui.prompt('Merge Labels', 'Label to merge into:', ui.ButtonSet.OK_CANCEL);
+  if (target.getSelectedButton() !== ui.Button.OK || !target.getResponseText().trim()) {
+    return;
+  }
+
+  const sourceLabelName = source.getResponseText().trim();
+  const targetLabelName = target.getResponseText().trim();
+  if (sourceLabelName === targetLabelName) {
+    ui.alert('Merge Labels', 'Choose two different labels to merge.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const sourceLabelId = getLabelId(sourceLabelName);
+  if (!sourceLabelId) {
+    ui.alert('Merge Labels', `The label "${sourceLabelName}" doesn't exist in Gmail.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  if (confirmMergeLabels(sourceLabelName, targetLabelName, countLabelThreads(sourceLabelId))) {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+    mergeLabels(sheet, sourceLabelName, targetLabelName);
+  }
+}
+
+/**
+ * Asks the user what should happen to the threads of a label being deleted
+ * @param {number} threadCount The number of threads that still use the label
+ * @return {Object} The chosen fate from THREAD_FATES, with targetLabelName
+ *     for the fates that move threads
+ */
+function chooseThreadFate(labelName, threadCount) {
+  const ui = SpreadsheetApp.getUi();
+  const keep = { fate: THREAD_FATES.KEEP };
+  const parentLabelName = labelName.includes('/') ? labelName.slice(0, labelName.lastIndexOf('/')) : '';
+
+  const options = [
+    '1 - Keep the label (default)',
+    '2 - Move the threads to another label, then delete it'
+  ];
+  if (parentLabelName) {
+    options.push(`3 - Move the threads to the parent label "${parentLabelName}", then delete it`);
+  }
+  options.push('4 - Remove the label from the threads and delete it');
+
+  const response = ui.prompt(
+    'Label Still Has Threads',
+    `The label "${labelName}" still has ${threadCount} thread(s). What should happen to them?\n\n` +
+    options.join('\n'),
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) {
+    return keep;
+  }
+
+  let choice;
+  switch (response.getResponseText().trim()) {
+    case '2': {
+      const target = ui.prompt('Move Threads', `Label to move the threads of "${labelName}" to:`, ui.ButtonSet.OK_CANCEL);
+      const targetLabelName = target.getResponseText().trim();
+      if (target.getSelectedButton() !== ui.Button.OK || !targetLabelName || targetLabelName === labelName) {
+        return keep;
+      }
+      choice = { fate: THREAD_FATES.MOVE, targetLabelName: targetLabelName };
+      break;
+    }
+    case '3':
+      if (!parentLabelName) {
+        return keep;
+      }
+      choice = { fate: THREAD_FATES.PARENT, targetLabelName: parentLabelName };
+      break;
+    case '4':
+      choice = { fate: THREAD_FATES.STRIP };
+      break;
+    default:
+      return keep;
+  }
+
+  const description = choice.fate === THREAD_FATES.STRIP
+    ? `remove "${labelName}" from ${threadCount} thread(s) and delete it`
+    : `move ${threadCount} thread(s) from "${labelName}" to "${choice.targetLabelName}" and delete "${labelName}"`;
+  const confirmation = ui.alert('Delete Label', `This will ${description}. Do you want to continue?`, ui.ButtonSet.YES_NO);
+
+  return confirmation === ui.Button.YES ? choice : keep;
+}
+
+/**
+ * Asks the user to confirm deleting a label that Gmail filters still use
+ * @param {number} filterCount The number of filters using the label
+ * @return {boolean} Whether the user chose to continue
+ */
+function confirmDeleteLabelUsedByFilters(labelName, filterCount) {
+  const ui = SpreadsheetApp.getUi();
+
+  const response = ui.alert(
+    'Label Used by Filters',
+    `${filterCount} filter(s) add or remove the label "${labelName}". ` +
+    'They will stop working if it is deleted.\n\n' +
+    'Do you want to delete it anyway?',
+    ui.ButtonSet.YES_NO
+  );
+
+  return response === ui.Button.YES;
+}
+
+/**
+ * Asks the user to confirm merging one label into another
+ * @param {number} threadCount The number of threads that will be moved
+ * @return {boolean} Whether the user chose to continue
+ */
+function confirmMergeLabels(sourceLabelName, targetLabelName, threadCount) {
+  const ui = SpreadsheetApp.getUi();
+
+  const response = ui.alert(
+    'Merge Labels',
+    `"${targetLabelName}" already exists. Merging will move ${threadCount} thread(s) from ` +
+    `"${sourceLabelName}" to "${targetLabelName}" and then delete "${sourceLabelName}".\n\n` +
+    'Do you want to continue?',
+    ui.ButtonSet.YES_NO
+  );
+
+  return response === ui.Button.YES;
+}
+
+/**
+ * Asks the user to confirm renaming a parent label along with its nested labels
+ * @param {string[]} childLabelNames The nested labels that will be renamed
+ * @return {boolean} Whether the user chose to continue
+ */
+function confirmSubtreeRename(oldLabelName, newLabelName, childLabelNames) {
+  const ui = SpreadsheetApp.getUi();
+
+  // Keep the dialog readable for large subtrees
+  const MAX_LISTED = 20;
+  const changes = childLabelNames.slice(0, MAX_LISTED).map(name =>
+    `${name}  →  ${newLabelName}${name.slice(oldLabelName.length)}`);
+  if (childLabelNames.length > MAX_LISTED) {
+    changes.push(`...and ${childLabelNames.length - MAX_LISTED} more`);
+  }
+
+  const response = ui.alert(
+    'Rename Nested Labels',
+    `Renaming "${oldLabelName}" to "${newLabelName}" will also rename these labels:\n\n` +
+    changes.join('\n') + '\n\n' +
+    'Do you want to continue?',
+    ui.ButtonSet.YES_NO
+  );
+
+  return response === ui.Button.YES;
+}
+
 /**
  * Sets up the hidden column for label IDs
  */
@@ -136,6 +396,12 @@ function setupLabelIdColumn() {
     } catch (error) {
       logError(`Failed to hide Label ID column: ${error.message}`);
     }
+
+    try {
+      protectLabelIdColumn(sheet);
+    } catch (error) {
+      logError(`Failed to protect Label ID column: ${error.message}`);
+    }
   } catch (error) {
     // Skip setting up the column if there's an error
     logError(`Error in setupLabelIdColumn: ${error.message}`);
@@ -154,7 +420,13 @@ function showSyncResults(results) {
   // Start with a summary notification
   const totalChanges =
     (results.createdInGmail ? results.createdInGmail.length : 0) +
-    (results.addedToSheet ? results.addedToSheet.length : 0);
+    (results.addedToSheet ? results.addedToSheet.length : 0) +
+    (results.renamedInSheet ? results.renamedInSheet.length : 0) +
+    (results.missingInGmail ? results.missingInGmail.length : 0) +
+    (results.deletedInGmail ? results.deletedInGmail.length : 0) +
+    (results.archivedInGmail ? results.archivedInGmail.length : 0) +
+    (results.removedFromSheet ? results.removedFromSheet.length : 0) +
+    (results.struckInSheet ? results.struckInSheet.length : 0);
 
   if (totalChanges > 0) {
     ss.toast(
@@ -188,6 +460,48 @@ function showSyncResults(results) {
         5
       );
     }
+
+    Utilities.sleep(500);
+
+    // Show notifications for labels renamed within Gmail
+    if (results.renamedInSheet && results.renamedInSheet.length > 0) {
+      const renamedLabels = results.renamedInSheet.join('", "');
+      ss.toast(
+        `Labels renamed in Gmail: "${renamedLabels}". The spreadsheet has been updated to match.`,
+        'Labels Renamed in Spreadsheet',
+        5
+      );
+    }
+
+    Utilities.sleep(500);
+
+    // Show notifications for rows whose label no longer exists
+    if (results.missingInGmail && results.missingInGmail.length > 0) {
+      const missingLabels = results.missingInGmail.join('", "');
+      ss.toast(
+        `Labels no longer found in Gmail: "${missingLabels}". These rows have been flagged with a note.`,
+        'Labels Missing in Gmail',
+        8
+      );
+    }
+
+    Utilities.sleep(500);
+
+    // Show notifications for deletions mirrored by the sync mode
+    const mirrored = [
+      ['deleted from Gmail', results.deletedInGmail],
+      ['archived in Gmail', results.archivedInGmail],
+      ['removed from the spreadsheet', results.removedFromSheet],
+      ['struck through in the spreadsheet', results.struckInSheet]
+    ].filter(([, labels]) => labels && labels.length > 0)
+      .map(([action, labels]) => `${action}: "${labels.join('", "')}"`);
+    if (mirrored.length > 0) {
+      ss.toast(
+        `Labels ${mirrored.join('; ')}.`,
+        `${getSyncModeName(getSyncMode())} Sync`,
+        8
+      );
+    }
   } else {
     ss.toast(
       'Auto Sync complete: No changes needed',
@@ -196,3 +510,17 @@ function showSyncResults(results) {
     );
   }
 }
+
+/**
+ * Shows a toast, or hands it to the sidebar when the sidebar started the action
+ * @param {string} message The message to show
+ * @param {string} title The title of the toast, e.g. "Error" or "Success"
+ * @param {number} timeoutSeconds How long the toast stays up
+ */
+function notify(message, title, timeoutSeconds) {
+  if (capturedNotifications) {
+    capturedNotifications.push({ title: title, message: message });
+    return;
+  }
+  SpreadsheetApp.getActive().toast(message, title, timeoutSeconds);
+}
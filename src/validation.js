@@ -0,0 +1,146 @@
+/**
+ * validation.js - Gmail Label Manager
+ *
+ * Contains validation of label names, so names Gmail would reject are caught
+ * with a clear message before they reach Gmail.
+ */
+
+const INVALID_NAME_NOTE = 'Invalid label name:';
+
+// Names of Gmail's own labels, which user labels cannot take (compared in lower case)
+const RESERVED_LABEL_NAMES = [
+  'inbox', 'sent', 'drafts', 'spam', 'trash', 'starred', 'important',
+  'unread', 'chats', 'all mail', 'snoozed', 'scheduled', 'outbox'
+];
+
+/**
+ * Normalises the whitespace in a label name: each level is trimmed and runs of
+ * spaces are collapsed, e.g. " Work /  Urgent " -> "Work/Urgent"
+ * @return {string} The normalised name
+ */
+function normalizeLabelName(labelName) {
+  return String(labelName)
+    .split('/')
+    .map(part => part.replace(/\s+/g, ' ').trim())
+    .join('/');
+}
+
+/**
+ * Checks whether a label name can be used in Gmail
+ * @param {string} labelName The name to check
+ * @param {Object} labelMap Map of existing label name -> label ID
+ * @param {string} currentName The name the label has now when renaming, which
+ *     it may change the case of
+ * @return {string|null} Why the name cannot be used, or null if it can
+ */
+function validateLabelName(labelName, labelMap, currentName) {
+  // Names such as "2024" come back from the sheet as numbers
+  labelName = String(labelName);
+
+  if (labelName !== normalizeLabelName(labelName)) {
+    return 'it has spaces at the start or end of a level, or repeated spaces';
+  }
+  if (labelName.startsWith('/')) {
+    return 'it starts with a slash';
+  }
+  if (labelName.endsWith('/')) {
+    return 'it ends with a slash';
+  }
+  if (labelName.includes('//')) {
+    return 'it contains a double slash, which would make a level with no name';
+  }
+
+  const lowerName = labelName.toLowerCase();
+  if (RESERVED_LABEL_NAMES.includes(lowerName)) {
+    return `"${labelName}" is reserved by Gmail`;
+  }
+
+  // Gmail label names are unique regardless of case
+  const caseDuplicate = Object.keys(labelMap).find(name =>
+    name !== labelName && name !== currentName && name.toLowerCase() === lowerName);
+  if (caseDuplicate) {
+    return `it only differs in case from the existing label "${caseDuplicate}"`;
+  }
+
+  return null;
+}
+
+/**
+ * Puts back the previous name of a row after an invalid name was entered,
+ * highlighting the cell and explaining why
+ * @param {string} problem Why the name cannot be used, from validateLabelName
+ */
+function rejectLabelName(sheet, row, oldLabelName, newLabelName, problem) {
+  logWarn(`Rejected label name "${newLabelName}" in row ${row}: ${problem}`);
+
+  sheet.getRange(row, CONFIG.NAME_COLUMN).setValue(oldLabelName);
+  flagInvalidLabelName(sheet, row, `"${newLabelName}" was not used because ${problem}.`);
+
+  notify(
+    `"${newLabelName}" can't be used as a label name because ${problem}.`,
+    'Invalid Label Name',
+    10
+  );
+}
+
+/**
+ * Highlights a name cell with a red border and a note saying what is wrong
+ * @param {string} message The explanation to show in the note
+ */
+function flagInvalidLabelName(sheet, row, message) {
+  sheet.getRange(row, CONFIG.NAME_COLUMN)
+    .setNote(`${INVALID_NAME_NOTE} ${message}`)
+    .setBorder(true, true, true, true, null, null, '#d93025', SpreadsheetApp.BorderStyle.SOLID_MEDIUM);
+}
+
+/**
+ * Removes the highlight left by flagInvalidLabelName, if any
+ */
+function clearInvalidLabelNameFlag(sheet, row) {
+  const cell = sheet.getRange(row, CONFIG.NAME_COLUMN);
+  if (cell.getNote().startsWith(INVALID_NAME_NOTE)) {
+    cell.clearNote().setBorder(false, false, false, false, null, null);
+  }
+}
+
+/**
+ * Sets up data validation on the name column matching validateLabelName, so
+ * most invalid names are refused as they are typed
+ */
+function setupNameValidation() {
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+    if (!sheet) {
+      // Sheet doesn't exist yet, don't proceed
+      return;
+    }
+
+    const firstRow = CONFIG.HEADER_ROW + 1;
+    const column = columnToLetter(CONFIG.NAME_COLUMN);
+    const cell = `${column}${firstRow}`;
+    const reserved = RESERVED_LABEL_NAMES.map(name => `"${name}"`).join(',');
+
+    const formula = `=OR(ISBLANK(${cell}), AND(` + [
+      `${cell}=TRIM(${cell})`,
+      `ISERROR(FIND("//",${cell}))`,
+      `ISERROR(FIND(" /",${cell}))`,
+      `ISERROR(FIND("/ ",${cell}))`,
+      `LEFT(${cell},1)<>"/"`,
+      `RIGHT(${cell},1)<>"/"`,
+      `ISNA(MATCH(LOWER(${cell}),{${reserved}},0))`,
+      `COUNTIF(${column}$${firstRow}:${column},${cell})=1`
+    ].join(', ') + '))';
+
+    const rule = SpreadsheetApp.newDataValidation()
+      .requireFormulaSatisfied(formula)
+      .setAllowInvalid(false)
+      .setHelpText('Label names can\'t start or end with a slash, contain "//", have extra spaces, ' +
+        'use a name reserved by Gmail or repeat another row\'s name in a different case')
+      .build();
+
+    const rowCount = sheet.getMaxRows() - CONFIG.HEADER_ROW;
+    sheet.getRange(firstRow, CONFIG.NAME_COLUMN, rowCount, 1).setDataValidation(rule);
+  } catch (error) {
+    logError(`Error in setupNameValidation: ${error.message}`);
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * visibility.js - Gmail Label Manager
+ *
+ * Contains management of label visibility in Gmail's label list and message list.
+ */
+
+// Sheet dropdown values mapped to Gmail's labelListVisibility values
+const LABEL_LIST_VISIBILITY_OPTIONS = {
+  'Show': 'labelShow',
+  'Show if unread': 'labelShowIfUnread',
+  'Hide': 'labelHide'
+};
+
+// Sheet dropdown values mapped to Gmail's messageListVisibility values
+const MESSAGE_LIST_VISIBILITY_OPTIONS = {
+  'Show': 'show',
+  'Hide': 'hide'
+};
+
+/**
+ * Finds the sheet dropdown value for a Gmail visibility value
+ * @param {Object} options One of the visibility option maps
+ * @param {string} gmailValue The Gmail visibility value
+ * @return {string} The dropdown value, or an empty string if unknown
+ */
+function toSheetVisibility(options, gmailValue) {
+  for (const sheetValue in options) {
+    if (options[sheetValue] === gmailValue) {
+      return sheetValue;
+    }
+  }
+  return '';
+}
+
+/**
+ * Reads the visibility settings stored in a spreadsheet row
+ * @return {Object} Gmail visibility fields for the settings that are filled in
+ */
+function getRowLabelVisibility(sheet, row) {
+  const visibility = {};
+
+  const labelList = sheet.getRange(row, CONFIG.LABEL_LIST_VISIBILITY_COLUMN).getValue();
+  if (LABEL_LIST_VISIBILITY_OPTIONS[labelList]) {
+    visibility.labelListVisibility = LABEL_LIST_VISIBILITY_OPTIONS[labelList];
+  }
+
+  const messageList = sheet.getRange(row, CONFIG.MESSAGE_LIST_VISIBILITY_COLUMN).getValue();
+  if (MESSAGE_LIST_VISIBILITY_OPTIONS[messageList]) {
+    visibility.messageListVisibility = MESSAGE_LIST_VISIBILITY_OPTIONS[messageList];
+  }
+
+  return visibility;
+}
+
+/**
+ * Writes the visibility settings of a Gmail label to a spreadsheet row.
+ * Gmail omits the fields for labels that use the defaults, which are both "Show".
+ * @param {Object} label The Gmail label resource
+ */
+function setRowLabelVisibility(sheet, row, label) {
+  sheet.getRange(row, CONFIG.LABEL_LIST_VISIBILITY_COLUMN)
+    .setValue(toSheetVisibility(LABEL_LIST_VISIBILITY_OPTIONS, label.labelListVisibility || 'labelShow'));
+  sheet.getRange(row, CONFIG.MESSAGE_LIST_VISIBILITY_COLUMN)
+    .setValue(toSheetVisibility(MESSAGE_LIST_VISIBILITY_OPTIONS, label.messageListVisibility || 'show'));
+}
+
+/**
+ * Processes an edit to one of the visibility columns
+ */
+function handleVisibilityChange(sheet, row, column, oldValue, newValue) {
+  logDebug(`Processing visibility change at row ${row}: "${oldValue}" -> "${newValue}"`);
+
+  const options = column === CONFIG.LABEL_LIST_VISIBILITY_COLUMN
+    ? LABEL_LIST_VISIBILITY_OPTIONS
+    : MESSAGE_LIST_VISIBILITY_OPTIONS;
+
+  // Clearing the cell leaves Gmail unchanged
+  if (newValue === "") {
+    return;
+  }
+
+  if (!options[newValue]) {
+    const message = `"${newValue}" is not a valid visibility. Choose one of: ${Object.keys(options).join(', ')}.`;
+    logDebug(message);
+    SpreadsheetApp.getActive().toast(message, 'Warning', 10);
+
+    // Restore the previous setting
+    sheet.getRange(row, column).setValue(oldValue);
+    return;
+  }
+
+  // Labels without an ID have not been created yet; their visibility is applied on creation
+  const labelId = sheet.getRange(row, CONFIG.LABEL_ID_COLUMN).getValue();
+  if (!labelId) {
+    return;
+  }
+
+  const labelName = sheet.getRange(row, CONFIG.NAME_COLUMN).getValue();
+  try {
+    const field = column === CONFIG.LABEL_LIST_VISIBILITY_COLUMN ? 'labelListVisibility' : 'messageListVisibility';
+    patchGmailLabel({ [field]: options[newValue] }, labelId);
+    logDebug(`Set ${field} of label "${labelName}" to ${options[newValue]}`);
+    SpreadsheetApp.getActive().toast(`The visibility of label "${labelName}" has been updated in Gmail.`, 'Success', 3);
+  } catch (error) {
+    logError(`Error updating visibility of label "${labelName}": ${error.message}`);
+    SpreadsheetApp.getActive().toast(`Error updating label visibility: ${error.message}`, 'Error', 10);
+  }
+}
+
+/**
+ * Sets up the headers and dropdowns for the visibility columns
+ */
+function setupVisibilityColumns() {
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CONFIG.SHEET_NAME);
+    if (!sheet) {
+      // Sheet doesn't exist yet, don't proceed
+      return;
+    }
+
+    sheet.getRange(CONFIG.HEADER_ROW, CONFIG.LABEL_LIST_VISIBILITY_COLUMN).setValue('Label List Visibility');
+    sheet.getRange(CONFIG.HEADER_ROW, CONFIG.MESSAGE_LIST_VISIBILITY_COLUMN).setValue('Message List Visibility');
+
+    const rowCount = sheet.getMaxRows() - CONFIG.HEADER_ROW;
+    const dropdowns = [
+      [CONFIG.LABEL_LIST_VISIBILITY_COLUMN, LABEL_LIST_VISIBILITY_OPTIONS],
+      [CONFIG.MESSAGE_LIST_VISIBILITY_COLUMN, MESSAGE_LIST_VISIBILITY_OPTIONS]
+    ];
+    for (const [column, options] of dropdowns) {
+      const rule = SpreadsheetApp.newDataValidation()
+        .requireValueInList(Object.keys(options), true)
+        .setAllowInvalid(false)
+        .build();
+      sheet.getRange(CONFIG.HEADER_ROW + 1, column, rowCount, 1).setDataValidation(rule);
+    }
+  } catch (error) {
+    logError(`Error in setupVisibilityColumns: ${error.message}`);
+  }
+}